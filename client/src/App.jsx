@@ -9,6 +9,14 @@ import SettingsPage from './pages/SettingsPage';
 import ProfilePage from './pages/ProfilePage';
 import ChatsPage from './pages/ChatsPage';
 import GamePage from './pages/GamePage';
+import HistoryPage from './pages/HistoryPage';
+import ReplayPage from './pages/ReplayPage';
+import LeaderboardPage from './pages/LeaderboardPage';
+import WatchPage from './pages/WatchPage';
+import TournamentsPage from './pages/TournamentsPage';
+import TournamentPage from './pages/TournamentPage';
+import SimulsPage from './pages/SimulsPage';
+import SimulPage from './pages/SimulPage';
 
 import { useAuthStore } from './store/useAuthStore';
 import { useThemeStore } from './store/useThemeStore';
@@ -47,6 +55,14 @@ function App() {
         <Route path='/settings' element={<SettingsPage/>} />
         <Route path='/profile' element={authUser ? <ProfilePage/> : <Navigate to='/login' />} />
         <Route path='/chats' element={authUser ? <ChatsPage/> : <Navigate to='/login' />} />
+        <Route path='/history' element={authUser ? <HistoryPage/> : <Navigate to='/login' />} />
+        <Route path='/leaderboard' element={authUser ? <LeaderboardPage/> : <Navigate to='/login' />} />
+        <Route path='/tournaments' element={authUser ? <TournamentsPage/> : <Navigate to='/login' />} />
+        <Route path='/tournaments/:tournamentId' element={authUser ? <TournamentPage/> : <Navigate to='/login' />} />
+        <Route path='/simuls' element={authUser ? <SimulsPage/> : <Navigate to='/login' />} />
+        <Route path='/simuls/:simulId' element={authUser ? <SimulPage/> : <Navigate to='/login' />} />
+        <Route path='/replay/:gameId' element={authUser ? <ReplayPage/> : <Navigate to='/login' />} />
+        <Route path='/watch/:gameId' element={authUser ? <WatchPage/> : <Navigate to='/login' />} />
         <Route path='/game' element={authUser && selectedGame ? <GamePage/> : <Navigate to='/login' />} />
       </Routes>
 
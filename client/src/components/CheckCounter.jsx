@@ -0,0 +1,14 @@
+import { countChecks } from "../lib/utils";
+
+// Checks a side has given in a Three-check game
+const CheckCounter = ({ game, color }) => {
+  if (game.variant !== 'threeCheck') return null;
+
+  return (
+    <span className="badge badge-sm badge-outline" title="Checks given">
+      {countChecks(game)[color]}/3 checks
+    </span>
+  );
+};
+
+export default CheckCounter;
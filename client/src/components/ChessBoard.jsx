@@ -2,13 +2,28 @@ import { useState, useRef, useEffect } from 'react';
 import { Chess } from 'chess.js';
 import { Chessboard } from 'react-chessboard';
 
+// King of the Hill is won by reaching one of these with the king
+const HILL_SQUARES = ['d4', 'e4', 'd5', 'e5'];
+
+// Chess960 castles by dropping the king onto its own rook, chess.js can't
+// check those so the server does
+const isCastlingDrop = (game, variant, from, to) => {
+  const king = game.get(from);
+  const rook = game.get(to);
+  return variant === 'chess960' && king?.type === 'k' && rook?.type === 'r' && king.color === rook.color;
+};
+
 const ChessBoard = ({ 
   position, 
   onMove, 
   orientation = 'white',
-  disabled = false
+  disabled = false,
+  lastMove,
+  playerColor, // 'white' or 'black' enables premoves while the opponent is thinking
+  variant = 'standard'
 }) => {
   const [game] = useState(new Chess());
+  const [premove, setPremove] = useState(null); // { from, to, promotion }
   const containerRef = useRef(null);
   const [boardWidth, setBoardWidth] = useState(400);
 
@@ -43,29 +58,80 @@ const ChessBoard = ({
     }
   }, [position, game]);
 
-  const handlePieceDrop = (sourceSquare, targetSquare) => {
+  // Play the queued premove as soon as it's our turn, if it's still legal
+  useEffect(() => {
+    if (!premove || disabled || game.turn() !== playerColor?.[0]) return;
+    setPremove(null);
+    if (isCastlingDrop(game, variant, premove.from, premove.to)) {
+      onMove({ from: premove.from, to: premove.to });
+      return;
+    }
+    try {
+      game.move(premove);
+      onMove(premove);
+    } catch {
+      // The opponent's move made it illegal, drop it
+    }
+  }, [position, premove, disabled, playerColor, game, onMove, variant]);
+
+  const isOwnTurn = () => !playerColor || game.turn() === playerColor[0];
+
+  // Premoves can't check legality yet, any pawn reaching the last rank promotes
+  const isPremovePromotion = (sourceSquare, targetSquare) => {
+    const piece = game.get(sourceSquare);
+    return piece?.type === 'p' && targetSquare[1] === (piece.color === 'w' ? '8' : '1');
+  };
+
+  // Only legal pawn moves to the last rank open the promotion picker
+  const isPromotionMove = (sourceSquare, targetSquare) => {
+    return game.moves({ square: sourceSquare, verbose: true })
+      .some(move => move.to === targetSquare && move.promotion);
+  };
+
+  // For promotions, piece is the one picked in the dialog (e.g. 'wN')
+  const handlePieceDrop = (sourceSquare, targetSquare, piece) => {
     if (disabled) return false;
 
+    // Off-turn drops queue a premove, the piece goes back until it's played
+    if (!isOwnTurn()) {
+      setPremove({
+        from: sourceSquare,
+        to: targetSquare,
+        promotion: isPremovePromotion(sourceSquare, targetSquare) ? piece[1].toLowerCase() : undefined
+      });
+      return false;
+    }
+
+    // The king snaps back until the server sends the castled position
+    if (isCastlingDrop(game, variant, sourceSquare, targetSquare)) {
+      onMove({ from: sourceSquare, to: targetSquare });
+      return false;
+    }
+
     try {
       // Get piece color being moved
-      const piece = game.get(sourceSquare);
-      const isWhitePiece = piece?.color === 'w';
+      const movingPiece = game.get(sourceSquare);
+      const isWhitePiece = movingPiece?.color === 'w';
       
       // Ensure correct color is moving
       if (game.turn() === 'w' && !isWhitePiece || game.turn() === 'b' && isWhitePiece) {
         return false;
       }
 
+      const promotion = isPromotionMove(sourceSquare, targetSquare)
+        ? piece[1].toLowerCase()
+        : undefined;
+
       // Validate move locally
       const moveAttempt = game.move({
         from: sourceSquare,
         to: targetSquare,
-        promotion: 'q' // Always promote to queen for simplicity
+        promotion
       });
 
       if (moveAttempt) {
         // If move is valid locally, send to server
-        onMove(sourceSquare, targetSquare);
+        onMove({ from: sourceSquare, to: targetSquare, promotion });
         return true;
       }
     } catch (error) {
@@ -75,24 +141,42 @@ const ChessBoard = ({
     return false;
   };
 
+  const lastMoveStyle = { backgroundColor: 'rgba(255, 255, 0, 0.4)' };
+  const premoveStyle = { backgroundColor: 'rgba(220, 38, 38, 0.45)' };
+  const hillStyle = { boxShadow: 'inset 0 0 0 3px rgba(234, 179, 8, 0.8)' };
+  const hillStyles = variant === 'kingOfTheHill'
+    ? Object.fromEntries(HILL_SQUARES.map(square => [square, hillStyle]))
+    : {};
+  // Move highlights keep the hill outline underneath
+  const highlight = (square, style) => ({ [square]: { ...hillStyles[square], ...style } });
+  const customSquareStyles = {
+    ...hillStyles,
+    ...(lastMove && { ...highlight(lastMove.from, lastMoveStyle), ...highlight(lastMove.to, lastMoveStyle) }),
+    ...(premove && { ...highlight(premove.from, premoveStyle), ...highlight(premove.to, premoveStyle) })
+  };
+
   return (
     <div ref={containerRef} className="w-full h-full flex items-center justify-center">
       <div style={{ width: boardWidth, maxWidth: '100%' }}>
         <Chessboard
           position={position}
           onPieceDrop={handlePieceDrop}
+          onPromotionCheck={(sourceSquare, targetSquare) => isOwnTurn()
+            ? isPromotionMove(sourceSquare, targetSquare)
+            : isPremovePromotion(sourceSquare, targetSquare)}
+          onSquareRightClick={() => setPremove(null)}
           boardOrientation={orientation}
           boardWidth={boardWidth}
           customBoardStyle={{
             borderRadius: '4px',
             boxShadow: '0 2px 10px rgba(0, 0, 0, 0.5)',
           }}
+          customSquareStyles={customSquareStyles}
           areArrowsAllowed={true}
           showBoardNotation={true}
           isDraggablePiece={({ piece }) => !disabled && 
-            // Only allow dragging if it's the correct color's turn
-            ((piece[0] === 'w' && game.turn() === 'w') || 
-             (piece[0] === 'b' && game.turn() === 'b'))
+            // Players drag their own pieces, on their turn or as a premove
+            piece[0] === (playerColor ? playerColor[0] : game.turn())
           }
         />
       </div>
@@ -0,0 +1,59 @@
+import { useState } from 'react';
+
+const FILES = 'abcdefg';
+const DISC_COLORS = { r: 'bg-error', y: 'bg-warning' };
+
+// Rows top to bottom and the side to move, as the server stores them
+const parsePosition = (position) => {
+  const [rows, turn] = (position || '').split(' ');
+  return { board: rows ? rows.split('/').map(row => row.split('')) : [], turn };
+};
+
+// Drops a disc in the clicked column, the server works out where it lands
+const ConnectFourBoard = ({
+  position,
+  onMove,
+  disabled = false,
+  lastMove,
+  playerColor
+}) => {
+  const [hoverColumn, setHoverColumn] = useState(null);
+  const { board, turn } = parsePosition(position);
+
+  const canDrop = !disabled && (!playerColor || turn === playerColor[0]);
+
+  // Moves name the square the disc landed on, rank 1 is the bottom row
+  const lastDisc = lastMove?.to && {
+    row: board.length - Number(lastMove.to[1]),
+    column: FILES.indexOf(lastMove.to[0])
+  };
+
+  return (
+    <div className="w-full h-full flex items-center justify-center">
+      <div
+        className="grid grid-cols-7 gap-1 sm:gap-2 p-2 sm:p-3 bg-primary rounded-lg w-full shadow-lg"
+        onMouseLeave={() => setHoverColumn(null)}
+      >
+        {board.map((row, rowIndex) => row.map((cell, column) => {
+          const isLastDisc = lastDisc?.row === rowIndex && lastDisc?.column === column;
+          const isHovered = canDrop && hoverColumn === column && cell === '.';
+          return (
+            <button
+              key={`${rowIndex}-${column}`}
+              type="button"
+              className={`aspect-square rounded-full transition-colors
+                ${cell === '.' ? (isHovered ? 'bg-base-300' : 'bg-base-100') : DISC_COLORS[cell]}
+                ${isLastDisc ? 'ring-4 ring-base-content ring-inset' : ''}
+                ${canDrop ? 'cursor-pointer' : 'cursor-default'}`}
+              onMouseEnter={() => setHoverColumn(column)}
+              onClick={() => canDrop && onMove({ column })}
+              aria-label={`Column ${column + 1}`}
+            />
+          );
+        }))}
+      </div>
+    </div>
+  );
+};
+
+export default ConnectFourBoard;
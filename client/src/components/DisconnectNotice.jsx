@@ -0,0 +1,51 @@
+import { useEffect, useState } from "react";
+import { WifiOff } from "lucide-react";
+import { useGameStore } from "../store/useGameStore";
+import { formatClock } from "../lib/utils";
+
+// Counts down the opponent's grace period, then lets the player end the game
+const DisconnectNotice = () => {
+  const { selectedGame, opponentOffline, claimAbandonment } = useGameStore();
+  const [now, setNow] = useState(Date.now());
+
+  const isOffline = opponentOffline?.gameId === selectedGame?._id;
+
+  useEffect(() => {
+    if (!isOffline) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isOffline]);
+
+  if (!isOffline) return null;
+
+  const remaining = opponentOffline.since + opponentOffline.gracePeriod - now;
+
+  return (
+    <div className="flex flex-col items-center gap-2 text-sm">
+      <span className="flex items-center gap-1 text-warning">
+        <WifiOff className="w-4 h-4" />
+        {remaining > 0
+          ? `Opponent disconnected, you can claim the game in ${formatClock(remaining)}`
+          : "Opponent left the game"}
+      </span>
+      {remaining <= 0 && (
+        <div className="flex gap-2">
+          <button
+            className="btn btn-sm btn-success"
+            onClick={() => claimAbandonment(selectedGame._id, 'win')}
+          >
+            Claim Win
+          </button>
+          <button
+            className="btn btn-sm"
+            onClick={() => claimAbandonment(selectedGame._id, 'draw')}
+          >
+            Claim Draw
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DisconnectNotice;
@@ -0,0 +1,176 @@
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { Chessboard } from 'react-chessboard';
+import { Crown } from 'lucide-react';
+import { useGameStore } from '../store/useGameStore';
+
+const FILES = 'abcdefgh';
+
+// react-chessboard draws our pieces, men as pawns and kings as kings
+const PIECE_CODES = { w: 'wP', W: 'wK', b: 'bP', B: 'bK' };
+
+const Disc = ({ squareWidth, isDark, isKing }) => (
+  <div style={{ width: squareWidth, height: squareWidth }} className="flex items-center justify-center">
+    <div
+      className="w-4/5 h-4/5 rounded-full flex items-center justify-center"
+      style={{
+        background: isDark ? '#3b2518' : '#f3e5c8',
+        border: `2px solid ${isDark ? '#1c110a' : '#b9a37e'}`,
+        boxShadow: 'inset 0 -4px 0 rgba(0, 0, 0, 0.25)'
+      }}
+    >
+      {isKing && <Crown className="w-1/2 h-1/2 text-yellow-500" />}
+    </div>
+  </div>
+);
+
+const CUSTOM_PIECES = {
+  wP: (props) => <Disc {...props} isDark />,
+  wK: (props) => <Disc {...props} isDark isKing />,
+  bP: (props) => <Disc {...props} />,
+  bK: (props) => <Disc {...props} isKing />
+};
+
+// Ranks 8 to 1 as rows of cells, and the side to move
+const parsePosition = (position) => {
+  const [rows, turn] = (position || '').split(' ');
+  return { board: rows ? rows.split('/').map(row => row.split('')) : [], turn };
+};
+
+// Whether a route begins with the given squares
+const startsWith = (path, squares) => squares.every((square, index) => path[index] === square);
+
+// Square jumped over between two landing squares of a capture
+const jumpedSquare = (from, to) =>
+  `${FILES[(FILES.indexOf(from[0]) + FILES.indexOf(to[0])) / 2]}${(Number(from[1]) + Number(to[1])) / 2}`;
+
+// Board position for react-chessboard, with a capture in progress played out
+const toBoardPosition = (position, jumpPath) => {
+  const { board } = parsePosition(position);
+  const pieces = {};
+  board.forEach((row, rowIndex) => row.forEach((cell, column) => {
+    if (cell !== '.') pieces[`${FILES[column]}${8 - rowIndex}`] = PIECE_CODES[cell];
+  }));
+
+  if (jumpPath) {
+    const piece = pieces[jumpPath[0]];
+    delete pieces[jumpPath[0]];
+    jumpPath.slice(1).forEach((square, index) => delete pieces[jumpedSquare(jumpPath[index], square)]);
+    pieces[jumpPath[jumpPath.length - 1]] = piece;
+  }
+  return pieces;
+};
+
+// Drag a piece to where it ends up. The server knows the rules and sends the
+// legal routes, so a capture can be dropped on its final square or played hop
+// by hop, and is only sent once the route is finished
+const DraughtsBoard = ({
+  gameId,
+  position,
+  onMove,
+  orientation = 'white',
+  disabled = false,
+  lastMove,
+  playerColor
+}) => {
+  const { getLegalMoves } = useGameStore();
+  const [jumpPath, setJumpPath] = useState(null); // squares visited by an unfinished capture
+  const [legalMoves, setLegalMoves] = useState([]);
+  const containerRef = useRef(null);
+  const [boardWidth, setBoardWidth] = useState(400);
+
+  useEffect(() => {
+    const updateDimensions = () => {
+      if (containerRef.current) {
+        const size = Math.min(containerRef.current.offsetWidth, containerRef.current.offsetHeight, 600);
+        setBoardWidth(size);
+      }
+    };
+
+    updateDimensions();
+    const resizeObserver = new ResizeObserver(updateDimensions);
+    if (containerRef.current) {
+      resizeObserver.observe(containerRef.current);
+    }
+    return () => resizeObserver.disconnect();
+  }, []);
+
+  // A new position from the server drops any half-played capture
+  useEffect(() => {
+    setJumpPath(null);
+  }, [position]);
+
+  const { turn } = parsePosition(position);
+  const isOwnTurn = !disabled && (!playerColor || turn === playerColor[0]);
+  const boardPosition = useMemo(() => toBoardPosition(position, jumpPath), [position, jumpPath]);
+
+  // Routes for the position on the board, fetched when it's our move
+  useEffect(() => {
+    if (!gameId || !isOwnTurn) {
+      setLegalMoves([]);
+      return;
+    }
+    let isCurrent = true;
+    getLegalMoves(gameId).then((moves) => {
+      if (isCurrent) setLegalMoves(moves);
+    });
+    return () => { isCurrent = false; };
+  }, [gameId, position, isOwnTurn, getLegalMoves]);
+
+  const handlePieceDrop = (sourceSquare, targetSquare) => {
+    if (!isOwnTurn) return false;
+
+    // Mid-capture only the jumping piece can move
+    if (jumpPath && jumpPath[jumpPath.length - 1] !== sourceSquare) return false;
+
+    const path = [...(jumpPath ?? [sourceSquare]), targetSquare];
+    const finished = legalMoves.find(move => move.path.length === path.length && startsWith(move.path, path));
+    if (finished) {
+      onMove({ from: path[0], to: targetSquare, path });
+      return true;
+    }
+
+    // One hop of a longer capture stays on the board, right click drops it
+    if (legalMoves.some(move => startsWith(move.path, path))) {
+      setJumpPath(path);
+      return false;
+    }
+    if (jumpPath) return false;
+
+    // Anything else, like a capture dropped on its final square, is the server's to judge
+    onMove({ from: sourceSquare, to: targetSquare });
+    return true;
+  };
+
+  const highlightStyle = { backgroundColor: 'rgba(255, 255, 0, 0.4)' };
+  const customSquareStyles = {
+    ...(lastMove && { [lastMove.from]: highlightStyle, [lastMove.to]: highlightStyle }),
+    ...(jumpPath && Object.fromEntries(jumpPath.map(square => [square, highlightStyle])))
+  };
+
+  return (
+    <div ref={containerRef} className="w-full h-full flex items-center justify-center">
+      <div style={{ width: boardWidth, maxWidth: '100%' }}>
+        <Chessboard
+          position={boardPosition}
+          onPieceDrop={handlePieceDrop}
+          onPromotionCheck={() => false}
+          onSquareRightClick={() => setJumpPath(null)}
+          boardOrientation={orientation}
+          boardWidth={boardWidth}
+          customPieces={CUSTOM_PIECES}
+          customDarkSquareStyle={{ backgroundColor: '#8b5a2b' }}
+          customLightSquareStyle={{ backgroundColor: '#f0d9b5' }}
+          customBoardStyle={{
+            borderRadius: '4px',
+            boxShadow: '0 2px 10px rgba(0, 0, 0, 0.5)',
+          }}
+          customSquareStyles={customSquareStyles}
+          showBoardNotation={true}
+          isDraggablePiece={({ piece }) => isOwnTurn && piece[0] === turn}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default DraughtsBoard;
@@ -0,0 +1,35 @@
+import { useEffect, useState } from "react";
+import { Clock } from "lucide-react";
+import { formatClock, getSideToMove } from "../lib/utils";
+
+// The server owns the clock, this only counts down from its last snapshot
+const GameClock = ({ game, color }) => {
+  const [now, setNow] = useState(Date.now());
+
+  const isRunning = game.status === "active" && getSideToMove(game) === color;
+
+  useEffect(() => {
+    if (!isRunning) return;
+    const interval = setInterval(() => setNow(Date.now()), 100);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+
+  if (!game.clock || game.clock[color] == null) return null;
+
+  const remaining = isRunning
+    ? game.clock[color] - (now - new Date(game.clock.lastMoveAt).getTime())
+    : game.clock[color];
+
+  const colors = !isRunning
+    ? "bg-base-300"
+    : remaining < 10000 ? "bg-error text-error-content" : "bg-primary text-primary-content";
+
+  return (
+    <div className={`flex items-center gap-1 px-2 py-0.5 rounded font-mono text-sm ${colors}`}>
+      <Clock className="w-3 h-3" />
+      {formatClock(remaining)}
+    </div>
+  );
+};
+
+export default GameClock;
@@ -1,9 +1,10 @@
 import { useEffect } from "react";
 import { useGameStore } from "../store/useGameStore";
 import { useAuthStore } from "../store/useAuthStore";
-import ChessBoard from "./ChessBoard";
-import { Chess } from 'chess.js';
+import GameReplay from "./GameReplay";
 import { toast } from "react-hot-toast";
+import { getPlayerColor, isGameFinished } from "../lib/utils";
+import { getGameType } from "../lib/gameTypes";
 
 const GameContainer = () => {
   const { 
@@ -45,14 +46,19 @@ const GameContainer = () => {
     );
   }
 
-  const isPlayerWhite = selectedGame.players[0]._id === authUser?._id;
-  // Determine if it's white's turn based on FEN
-  const chess = new Chess(selectedGame.currentPosition);
-  const isWhiteTurn = chess.turn() === 'w';
-  // It's player's turn if they're white and it's white's turn, or if they're black and it's black's turn
-  const isPlayerTurn = isPlayerWhite === isWhiteTurn;
+  const isPlayerWhite = getPlayerColor(selectedGame, authUser?._id) === 'white';
 
-  const handleMove = async (from, to) => {
+  // Finished games open in replay mode
+  if (isGameFinished(selectedGame)) {
+    return <GameReplay game={selectedGame} orientation={isPlayerWhite ? 'white' : 'black'} />;
+  }
+
+  // The server keeps track of whose turn it is, whatever the game
+  const isPlayerTurn = selectedGame.turn?._id === authUser?._id;
+  const { Board } = getGameType(selectedGame.gameType);
+
+  // The move is whatever the board hands over, e.g. { from, to, promotion } for chess
+  const handleMove = async (move) => {
     if (!selectedGame || selectedGame.status !== "active") return;
     
     if (!isPlayerTurn) {
@@ -60,7 +66,7 @@ const GameContainer = () => {
       return;
     }
 
-    const result = await makeMove(selectedGame._id, from, to);
+    const result = await makeMove(selectedGame._id, move);
     if (!result) {
       // Reset the board if move failed
       setSelectedGame({...selectedGame}); // Force refresh
@@ -70,14 +76,18 @@ const GameContainer = () => {
   return (
     <div className="w-full flex flex-col">
 
-      {/* Chess Board */}
+      {/* Board */}
       <div className="flex-1 flex items-center justify-center overflow-hidden p-2">
         <div className="w-full max-w-[min(100%,calc(100vh-300px))] aspect-square">
-          <ChessBoard
+          <Board
+            gameId={selectedGame._id}
             position={selectedGame.currentPosition}
             onMove={handleMove}
             orientation={isPlayerWhite ? 'white' : 'black'}
-            disabled={!isPlayerTurn || selectedGame.status !== "active"}
+            playerColor={isPlayerWhite ? 'white' : 'black'}
+            variant={selectedGame.variant}
+            lastMove={selectedGame.moves?.[selectedGame.moves.length - 1]}
+            disabled={selectedGame.status !== "active"}
           />
         </div>
       </div>
@@ -1,16 +1,78 @@
+import { Download, Eye, Link2, Lock, RotateCcw } from "lucide-react";
+import toast from "react-hot-toast";
 import { useAuthStore } from "../store/useAuthStore";
 import { useGameStore } from "../store/useGameStore";
+import GameClock from "./GameClock";
+import DisconnectNotice from "./DisconnectNotice";
+import VariantBadge from "./VariantBadge";
+import CheckCounter from "./CheckCounter";
+import { RESULT_LABELS } from "../constents";
+import { formatRating, getPlayerColor, isGameFinished } from "../lib/utils";
+import { getGameType } from "../lib/gameTypes";
+
+// Current rating, plus what the game changed once it's over
+const RatingLabel = ({ rating, change }) => (
+  <span className="font-normal text-sm opacity-75 ml-1">
+    ({formatRating(rating)}
+    {change != null && (
+      <span className={change >= 0 ? 'text-success' : 'text-error'}> {change >= 0 ? `+${change}` : change}</span>
+    )})
+  </span>
+);
 
 const GameHeader = () => {
-  const { selectedGame, offerDraw, respondToDrawOffer, resignGame } = useGameStore();
+  const {
+    selectedGame,
+    offerDraw,
+    respondToDrawOffer,
+    resignGame,
+    downloadPgn,
+    requestTakeback,
+    respondToTakeback,
+    rematchOffer,
+    offerRematch,
+    acceptGameInvite,
+    declineGameInvite,
+    spectatorCount,
+    createBotGame,
+    setSelectedGame
+  } = useGameStore();
   const { authUser } = useAuthStore();
 
   if (!selectedGame || !authUser) return null;
 
   const opponent = selectedGame.players.find(player => player._id !== authUser._id);
-  const isPlayerWhite = selectedGame.players[0]._id === authUser._id;
+  const isPlayerWhite = getPlayerColor(selectedGame, authUser._id) === 'white';
   const hasDrawOffer = selectedGame.drawOffer?.by;
   const isDrawOfferFromOpponent = hasDrawOffer && selectedGame.drawOffer.by !== authUser._id;
+  const hasTakebackRequest = selectedGame.takebackRequest?.by;
+  const isTakebackFromOpponent = hasTakebackRequest && selectedGame.takebackRequest.by !== authUser._id;
+  const hasOwnMove = selectedGame.moves?.some(move => move.by === authUser._id);
+  const isFinished = isGameFinished(selectedGame);
+  const ratingCategory = selectedGame.timeControl?.category || 'unlimited';
+  const me = selectedGame.players.find(player => player._id === authUser._id);
+  const opponentColor = isPlayerWhite ? 'black' : 'white';
+  const myColor = isPlayerWhite ? 'white' : 'black';
+  const pendingRematch = rematchOffer?.gameId === selectedGame._id ? rematchOffer : null;
+  const isRematchFromOpponent = pendingRematch && pendingRematch.offeredBy !== authUser._id;
+
+  const isBotGame = !!opponent?.isBot;
+  const gameType = getGameType(selectedGame.gameType);
+
+  // Same level and time control, colors swapped
+  const playBotAgain = async () => {
+    const game = await createBotGame({
+      level: selectedGame.botLevel,
+      color: myColor === 'white' ? 'black' : 'white',
+      timeControl: selectedGame.timeControl?.id
+    });
+    if (game) setSelectedGame(game);
+  };
+
+  const copyWatchLink = async () => {
+    await navigator.clipboard.writeText(`${window.location.origin}/watch/${selectedGame._id}`);
+    toast.success("Spectator link copied");
+  };
 
   const handleResign = () => {
     if (window.confirm("Are you sure you want to resign?")) {
@@ -36,10 +98,18 @@ const GameHeader = () => {
             </div>
           </div>
           <div>
-            <p className="font-semibold">{opponent?.userName}</p>
-            <p className="text-sm opacity-75">
-              {isPlayerWhite ? 'Black' : 'White'}
+            <p className="font-semibold">
+              {opponent?.userName}
+              {isBotGame && <span className="font-normal text-sm opacity-75 ml-1">Level {selectedGame.botLevel}</span>}
+              {selectedGame.rated && (
+                <RatingLabel rating={opponent?.ratings?.[ratingCategory]} change={selectedGame.ratingChanges?.[opponentColor]} />
+              )}
+            </p>
+            <p className="text-sm opacity-75 flex items-center gap-1">
+              {gameType.colorLabels[opponentColor]}
+              <CheckCounter game={selectedGame} color={opponentColor} />
             </p>
+            <GameClock game={selectedGame} color={isPlayerWhite ? 'black' : 'white'} />
           </div>
         </div>
 
@@ -47,14 +117,41 @@ const GameHeader = () => {
         <div className="flex flex-col items-center gap-2">
         <div className="text-lg font-bold">
             {selectedGame.result ?
-                (selectedGame.result === 'checkmate' ?
-                    (selectedGame.winner._id === authUser._id ? 'You won!' : 'Opponent won!') :
-                    selectedGame.result === 'draw' ? 'Game Drawn' : 
-                    selectedGame.winner._id === authUser._id ? 'You won!' : 'Game Resigned' 
+                // Draws have no winner, whatever ended them
+                (!selectedGame.winner ? 'Game Drawn' :
+                    selectedGame.winner._id === authUser._id ? 'You won!' : 'Opponent won!'
                 ) 
                 : (selectedGame.turn._id === authUser._id ? "Your Turn" : "Opponent's Turn")
             }
           </div>
+          {selectedGame.result && (
+            <p className="text-sm opacity-75 -mt-2">{RESULT_LABELS[selectedGame.result]}</p>
+          )}
+          <div className="flex gap-1">
+            <span className={`badge badge-sm ${selectedGame.rated ? 'badge-primary' : 'badge-ghost'}`}>
+              {selectedGame.rated ? 'Rated' : 'Casual'}
+            </span>
+            <VariantBadge gameType={selectedGame.gameType} variant={selectedGame.variant} />
+          </div>
+
+          {selectedGame.status === "active" && <DisconnectNotice />}
+
+          {selectedGame.status === "active" && isTakebackFromOpponent && (
+            <div className="flex gap-2">
+              <button 
+                className="btn btn-sm btn-success"
+                onClick={() => respondToTakeback(selectedGame._id, true)}
+              >
+                Accept Takeback
+              </button>
+              <button 
+                className="btn btn-sm btn-error"
+                onClick={() => respondToTakeback(selectedGame._id, false)}
+              >
+                Decline Takeback
+              </button>
+            </div>
+          )}
 
           {selectedGame.status === "active" && (
             <div className="flex gap-2">
@@ -75,32 +172,124 @@ const GameHeader = () => {
                 </>
               ) : (
                 <>
+                  {/* The computer doesn't answer offers */}
+                  {!isBotGame && (
+                    <>
+                      <button 
+                        className="btn btn-sm btn-primary"
+                        onClick={() => offerDraw(selectedGame._id)}
+                        disabled={hasDrawOffer}
+                      >
+                        {hasDrawOffer ? "Draw Offered" : "Offer Draw"}
+                      </button>
+                      <button 
+                        className="btn btn-sm"
+                        onClick={() => requestTakeback(selectedGame._id)}
+                        disabled={!hasOwnMove || hasTakebackRequest}
+                      >
+                        {hasTakebackRequest && !isTakebackFromOpponent ? "Takeback Asked" : "Takeback"}
+                      </button>
+                    </>
+                  )}
                   <button 
-                    className="btn btn-sm btn-primary"
-                    onClick={() => offerDraw(selectedGame._id)}
-                    disabled={hasDrawOffer}
+                    className="btn btn-sm btn-error"
+                    onClick={handleResign}
                   >
-                    {hasDrawOffer ? "Draw Offered" : "Offer Draw"}
+                    Resign
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+
+          {isFinished && isBotGame && (
+            <button className="btn btn-sm btn-primary gap-1" onClick={playBotAgain}>
+              <RotateCcw className="w-4 h-4" />
+              Play Again
+            </button>
+          )}
+
+          {isFinished && !isBotGame && (
+            <div className="flex gap-2">
+              {isRematchFromOpponent ? (
+                <>
+                  <button 
+                    className="btn btn-sm btn-success"
+                    onClick={() => acceptGameInvite(pendingRematch.rematchId)}
+                  >
+                    Accept Rematch
                   </button>
                   <button 
                     className="btn btn-sm btn-error"
-                    onClick={handleResign}
+                    onClick={() => declineGameInvite(pendingRematch.rematchId)}
                   >
-                    Resign
+                    Decline Rematch
                   </button>
                 </>
+              ) : (
+                <button 
+                  className="btn btn-sm btn-primary gap-1"
+                  onClick={() => offerRematch(selectedGame._id)}
+                  disabled={!!pendingRematch}
+                >
+                  <RotateCcw className="w-4 h-4" />
+                  {pendingRematch ? "Rematch Offered" : "Rematch"}
+                </button>
               )}
             </div>
           )}
+
+          <div className="flex items-center gap-1">
+            {gameType.hasPgn && (
+              <button
+                className="btn btn-xs btn-ghost gap-1"
+                onClick={() => downloadPgn(selectedGame._id)}
+                title="Download PGN"
+              >
+                <Download className="w-3 h-3" />
+                PGN
+              </button>
+            )}
+            {selectedGame.isPrivate ? (
+              <span className="flex items-center gap-1 text-xs opacity-75 px-2" title="Private game, no spectators">
+                <Lock className="w-3 h-3" />
+                Private
+              </span>
+            ) : (
+              <>
+                <button
+                  className="btn btn-xs btn-ghost gap-1"
+                  onClick={copyWatchLink}
+                  title="Copy spectator link"
+                >
+                  <Link2 className="w-3 h-3" />
+                  Share
+                </button>
+                <span className="flex items-center gap-1 text-xs opacity-75 px-2" title="Spectators">
+                  <Eye className="w-3 h-3" />
+                  {spectatorCount}
+                </span>
+              </>
+            )}
+          </div>
         </div>
 
         {/* Player Info */}
         <div className="flex items-center gap-4">
           <div>
-            <p className="font-semibold text-right">You</p>
-            <p className="text-sm opacity-75 text-right">
-              {isPlayerWhite ? 'White' : 'Black'}
+            <p className="font-semibold text-right">
+              You
+              {selectedGame.rated && (
+                <RatingLabel rating={me?.ratings?.[ratingCategory]} change={selectedGame.ratingChanges?.[myColor]} />
+              )}
             </p>
+            <p className="text-sm opacity-75 flex items-center justify-end gap-1">
+              <CheckCounter game={selectedGame} color={myColor} />
+              {gameType.colorLabels[myColor]}
+            </p>
+            <div className="flex justify-end">
+              <GameClock game={selectedGame} color={isPlayerWhite ? 'white' : 'black'} />
+            </div>
           </div>
           <div className="avatar">
             <div className="w-12 rounded-full">
@@ -0,0 +1,79 @@
+import { useEffect } from "react";
+import { ChevronFirst, ChevronLast, ChevronLeft, ChevronRight } from "lucide-react";
+import { useGameStore } from "../store/useGameStore";
+import { getPositionAt } from "../lib/utils";
+import { getGameType } from "../lib/gameTypes";
+
+// Typing in the chat shouldn't step through the game
+const isTypingTarget = (target) =>
+  ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName) || target.isContentEditable;
+
+// Read-only board that steps through the moves of a finished game
+const GameReplay = ({ game, orientation = "white" }) => {
+  const { replayPly, setReplayPly } = useGameStore();
+
+  const lastPly = game.moves.length;
+  const ply = replayPly ?? lastPly;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target)) return;
+
+      const targets = {
+        ArrowLeft: Math.max(ply - 1, 0),
+        ArrowRight: Math.min(ply + 1, lastPly),
+        ArrowUp: 0,
+        Home: 0,
+        ArrowDown: lastPly,
+        End: lastPly,
+      };
+      if (!(e.key in targets)) return;
+
+      e.preventDefault();
+      setReplayPly(targets[e.key]);
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [ply, lastPly, setReplayPly]);
+
+  const lastMove = game.moves[ply - 1];
+  const { Board } = getGameType(game.gameType);
+
+  return (
+    <div className="w-full flex flex-col">
+      <div className="flex-1 flex items-center justify-center overflow-hidden p-2">
+        <div className="w-full max-w-[min(100%,calc(100vh-340px))] aspect-square">
+          <Board
+            position={getPositionAt(game, ply)}
+            orientation={orientation}
+            lastMove={lastMove}
+            variant={game.variant}
+            disabled={true}
+          />
+        </div>
+      </div>
+
+      {/* Replay Controls */}
+      <div className="flex items-center justify-center gap-1 p-2">
+        <button className="btn btn-sm btn-ghost" onClick={() => setReplayPly(0)} disabled={ply === 0} title="First move">
+          <ChevronFirst className="w-4 h-4" />
+        </button>
+        <button className="btn btn-sm btn-ghost" onClick={() => setReplayPly(ply - 1)} disabled={ply === 0} title="Previous move">
+          <ChevronLeft className="w-4 h-4" />
+        </button>
+        <span className="text-sm w-24 text-center">
+          {ply} / {lastPly}
+        </span>
+        <button className="btn btn-sm btn-ghost" onClick={() => setReplayPly(ply + 1)} disabled={ply === lastPly} title="Next move">
+          <ChevronRight className="w-4 h-4" />
+        </button>
+        <button className="btn btn-sm btn-ghost" onClick={() => setReplayPly(lastPly)} disabled={ply === lastPly} title="Last move">
+          <ChevronLast className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GameReplay;
@@ -0,0 +1,76 @@
+import { useEffect, useRef } from "react";
+import { ListOrdered } from "lucide-react";
+
+// Group half-moves into numbered rows: [white, black]. Games set up from a
+// FEN can start with black to move or at a later move number
+const toRows = (moves, initialPosition) => {
+  if (moves.length === 0) return [];
+
+  const [, turn, , , , fullMove] = (initialPosition || "").split(" ");
+  const firstNumber = Number(fullMove) || 1;
+  // Ply is the number of half-moves played once this move is on the board
+  const plies = moves.map((move, index) => ({ ...move, ply: index + 1 }));
+  // A black first move leaves the white cell of the first row empty
+  const halfMoves = turn === "b" ? [null, ...plies] : plies;
+
+  const rows = [];
+  for (let i = 0; i < halfMoves.length; i += 2) {
+    rows.push({ number: firstNumber + i / 2, white: halfMoves[i], black: halfMoves[i + 1] });
+  }
+  return rows;
+};
+
+// With onSelectMove the moves become clickable and currentPly is highlighted
+const MoveCell = ({ move, placeholder = "", currentPly, onSelectMove }) => {
+  if (!move) return <td className="font-mono">{placeholder}</td>;
+
+  const isCurrent = move.ply === currentPly;
+  return (
+    <td
+      className={`font-mono ${onSelectMove ? "cursor-pointer hover:bg-base-300" : ""} ${isCurrent ? "bg-primary text-primary-content" : ""}`}
+      onClick={() => onSelectMove?.(move.ply)}
+    >
+      {move.san}
+    </td>
+  );
+};
+
+const MoveList = ({ moves = [], initialPosition, currentPly, onSelectMove }) => {
+  const listEndRef = useRef(null);
+
+  useEffect(() => {
+    listEndRef.current?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  }, [moves.length]);
+
+  const rows = toRows(moves, initialPosition);
+
+  return (
+    <div className="w-full h-full flex flex-col min-h-0">
+      <div className="flex items-center gap-2 p-3 border-b border-base-300">
+        <ListOrdered className="w-4 h-4" />
+        <h3 className="font-semibold text-sm">Moves</h3>
+      </div>
+
+      <div className="flex-1 overflow-y-auto min-h-0 p-2">
+        {rows.length === 0 ? (
+          <div className="text-center text-sm text-base-content/60 py-4">No moves yet</div>
+        ) : (
+          <table className="table table-xs w-full">
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.number}>
+                  <td className="w-8 text-base-content/60">{row.number}.</td>
+                  <MoveCell move={row.white} placeholder="..." currentPly={currentPly} onSelectMove={onSelectMove} />
+                  <MoveCell move={row.black} currentPly={currentPly} onSelectMove={onSelectMove} />
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div ref={listEndRef} />
+      </div>
+    </div>
+  );
+};
+
+export default MoveList;
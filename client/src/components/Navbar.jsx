@@ -1,6 +1,6 @@
 import { Link } from "react-router-dom";
 import { useAuthStore } from "../store/useAuthStore";
-import { HomeIcon, LogOut, MessageSquare, Settings, User } from "lucide-react";
+import { History, HomeIcon, LayoutGrid, LogOut, Medal, MessageSquare, Settings, Trophy, User } from "lucide-react";
 
 const Navbar = () => {
   const { logout, authUser } = useAuthStore();
@@ -36,6 +36,26 @@ const Navbar = () => {
                   <span className="hidden sm:inline">Chats</span>
                 </Link>
 
+                <Link to={"/history"} className={`btn btn-sm gap-2`}>
+                  <History className="size-5" />
+                  <span className="hidden sm:inline">History</span>
+                </Link>
+
+                <Link to={"/leaderboard"} className={`btn btn-sm gap-2`}>
+                  <Trophy className="size-5" />
+                  <span className="hidden sm:inline">Leaderboard</span>
+                </Link>
+
+                <Link to={"/tournaments"} className={`btn btn-sm gap-2`}>
+                  <Medal className="size-5" />
+                  <span className="hidden sm:inline">Tournaments</span>
+                </Link>
+
+                <Link to={"/simuls"} className={`btn btn-sm gap-2`}>
+                  <LayoutGrid className="size-5" />
+                  <span className="hidden sm:inline">Simuls</span>
+                </Link>
+
                 <Link to={"/profile"} className={`btn btn-sm gap-2`}>
                   <User className="size-5" />
                   <span className="hidden sm:inline">Profile</span>
@@ -0,0 +1,81 @@
+import { useState } from "react";
+import { Loader2 } from "lucide-react";
+import { useGameStore } from "../store/useGameStore";
+
+const PgnImportModal = ({ users, onClose, onImported }) => {
+  const { importPgn } = useGameStore();
+  const [isImporting, setIsImporting] = useState(false);
+  const [formData, setFormData] = useState({
+    pgn: "",
+    color: "",
+    opponentId: "",
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.pgn.trim()) return;
+
+    setIsImporting(true);
+    // Empty fields let the server read the sides from the PGN tags
+    const game = await importPgn({
+      pgn: formData.pgn,
+      color: formData.color || undefined,
+      opponentId: formData.opponentId || undefined,
+    });
+    setIsImporting(false);
+
+    if (game) onImported?.(game);
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box">
+        <h3 className="font-bold text-lg mb-4">Import PGN</h3>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <textarea
+            className="textarea textarea-bordered w-full h-48 font-mono text-xs"
+            placeholder={'[White "you"]\n[Black "teammate"]\n[Result "1-0"]\n\n1. e4 e5 ...'}
+            value={formData.pgn}
+            onChange={(e) => setFormData({ ...formData, pgn: e.target.value })}
+          />
+
+          <div className="flex gap-2">
+            <select
+              className="select select-bordered select-sm flex-1"
+              value={formData.color}
+              onChange={(e) => setFormData({ ...formData, color: e.target.value })}
+            >
+              <option value="">My color: from PGN</option>
+              <option value="white">I played White</option>
+              <option value="black">I played Black</option>
+            </select>
+
+            <select
+              className="select select-bordered select-sm flex-1"
+              value={formData.opponentId}
+              onChange={(e) => setFormData({ ...formData, opponentId: e.target.value })}
+            >
+              <option value="">Opponent: from PGN</option>
+              {users.map((user) => (
+                <option key={user._id} value={user._id}>{user.userName}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="modal-action">
+            <button type="button" className="btn btn-sm" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-sm btn-primary" disabled={isImporting || !formData.pgn.trim()}>
+              {isImporting ? <Loader2 className="w-4 h-4 animate-spin" /> : "Import"}
+            </button>
+          </div>
+        </form>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default PgnImportModal;
@@ -0,0 +1,53 @@
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = 30;
+
+// Maps rating entries onto SVG coordinates, with some headroom above and below
+const toPoints = (entries) => {
+  const ratings = entries.map((entry) => entry.rating);
+  const min = Math.min(...ratings) - 20;
+  const max = Math.max(...ratings) + 20;
+  const stepX = entries.length > 1 ? (WIDTH - 2 * PADDING) / (entries.length - 1) : 0;
+
+  return {
+    min,
+    max,
+    points: entries.map((entry, index) => ({
+      x: PADDING + index * stepX,
+      y: PADDING + ((max - entry.rating) / (max - min)) * (HEIGHT - 2 * PADDING),
+      ...entry,
+    })),
+  };
+};
+
+const RatingChart = ({ entries = [] }) => {
+  if (entries.length === 0) {
+    return <div className="text-center text-sm text-base-content/60 py-8">No rated games yet</div>;
+  }
+
+  const { min, max, points } = toPoints(entries);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+      <text x={4} y={PADDING} className="fill-current text-xs opacity-60">{Math.round(max)}</text>
+      <text x={4} y={HEIGHT - PADDING} className="fill-current text-xs opacity-60">{Math.round(min)}</text>
+      <line
+        x1={PADDING} y1={HEIGHT - PADDING} x2={WIDTH - PADDING} y2={HEIGHT - PADDING}
+        className="stroke-current opacity-20"
+      />
+      <polyline
+        points={points.map((point) => `${point.x},${point.y}`).join(" ")}
+        fill="none"
+        className="stroke-primary"
+        strokeWidth={2}
+      />
+      {points.map((point, index) => (
+        <circle key={index} cx={point.x} cy={point.y} r={3} className="fill-primary">
+          <title>{`${point.rating} · ${new Date(point.date).toLocaleDateString()}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default RatingChart;
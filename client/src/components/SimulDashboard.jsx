@@ -0,0 +1,137 @@
+import { useEffect } from "react";
+import toast from "react-hot-toast";
+import { useAuthStore } from "../store/useAuthStore";
+import { useSimulStore } from "../store/useSimulStore";
+import GameClock from "./GameClock";
+import { RESULT_LABELS } from "../constents";
+import { getGameType } from "../lib/gameTypes";
+
+const getOpponent = (game, hostId) => game.players.find(player => player._id !== hostId);
+
+// The host's view of a running simul: the board being played, and every
+// board as a thumbnail to jump to. After each move the next waiting board comes up
+const SimulDashboard = () => {
+  const { authUser } = useAuthStore();
+  const {
+    simulDetails,
+    activeBoardId,
+    setActiveBoard,
+    playBoardMove,
+    subscribeToBoards,
+    unsubscribeFromBoards
+  } = useSimulStore();
+
+  useEffect(() => {
+    subscribeToBoards();
+    return () => unsubscribeFromBoards();
+  }, [subscribeToBoards, unsubscribeFromBoards]);
+
+  // Follow every board's room, not just the one on screen
+  const boardIds = simulDetails.games.map(game => game._id).join();
+  useEffect(() => {
+    if (!boardIds) return;
+    const socket = useAuthStore.getState().socket;
+    const gameIds = boardIds.split(",");
+    gameIds.forEach(gameId => socket.emit("joinGame", gameId));
+    return () => gameIds.forEach(gameId => socket.emit("leaveGame", gameId));
+  }, [boardIds]);
+
+  const { simul, games } = simulDetails;
+  const activeGame = games.find(game => game._id === activeBoardId);
+  const waitingCount = games.filter(game => game.status === "active" && game.turn?._id === authUser._id).length;
+  const hostColor = simul.hostColor;
+  const opponentColor = hostColor === "white" ? "black" : "white";
+
+  const handleMove = async (move) => {
+    if (activeGame.status !== "active") return;
+
+    if (activeGame.turn?._id !== authUser._id) {
+      toast.error("It's not your turn on this board!");
+      return;
+    }
+
+    await playBoardMove(activeGame._id, move);
+  };
+
+  const ActiveBoard = activeGame && getGameType(activeGame.gameType).Board;
+
+  return (
+    <div className="flex gap-4 lg:flex-row flex-col">
+      {/* Board being played */}
+      <div className="lg:w-2/3 bg-base-100 rounded-lg shadow-lg p-4 flex flex-col gap-2">
+        {activeGame ? (
+          <>
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="font-semibold">{getOpponent(activeGame, authUser._id)?.userName}</p>
+                <p className="text-sm opacity-75">
+                  {activeGame.status === "active"
+                    ? activeGame.turn?._id === authUser._id ? "Your move" : "Waiting for opponent"
+                    : RESULT_LABELS[activeGame.result] || "Finished"}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <GameClock game={activeGame} color={opponentColor} />
+                <GameClock game={activeGame} color={hostColor} />
+              </div>
+            </div>
+            <div className="w-full max-w-[min(100%,calc(100vh-300px))] aspect-square mx-auto">
+              <ActiveBoard
+                key={activeGame._id}
+                gameId={activeGame._id}
+                position={activeGame.currentPosition}
+                onMove={handleMove}
+                orientation={hostColor}
+                playerColor={hostColor}
+                variant={activeGame.variant}
+                lastMove={activeGame.moves?.[activeGame.moves.length - 1]}
+                disabled={activeGame.status !== "active"}
+              />
+            </div>
+          </>
+        ) : (
+          <p className="text-center py-8">No boards</p>
+        )}
+      </div>
+
+      {/* Every board */}
+      <div className="lg:w-1/3 bg-base-100 rounded-lg shadow-lg p-4">
+        <p className="font-semibold mb-2">
+          {waitingCount > 0 ? `${waitingCount} of ${games.length} boards waiting for you` : `${games.length} boards`}
+        </p>
+        <div className="grid grid-cols-2 gap-2">
+          {games.map((game) => {
+            const { Board } = getGameType(game.gameType);
+            const isWaiting = game.status === "active" && game.turn?._id === authUser._id;
+            return (
+              <button
+                key={game._id}
+                onClick={() => setActiveBoard(game._id)}
+                className={`p-1 rounded-lg text-left transition-colors
+                  ${game._id === activeBoardId ? "ring-2 ring-primary" : ""}
+                  ${isWaiting ? "bg-secondary" : "bg-base-200"}
+                  ${game.status !== "active" ? "opacity-60" : ""}`}
+              >
+                <div className="aspect-square pointer-events-none">
+                  <Board
+                    position={game.currentPosition}
+                    orientation={hostColor}
+                    variant={game.variant}
+                    lastMove={game.moves?.[game.moves.length - 1]}
+                    disabled={true}
+                  />
+                </div>
+                <p className="text-xs truncate mt-1">
+                  {getOpponent(game, authUser._id)?.userName}
+                  {game.status !== "active" && ` · ${RESULT_LABELS[game.result] || "Finished"}`}
+                </p>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SimulDashboard;
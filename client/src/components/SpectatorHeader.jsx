@@ -0,0 +1,66 @@
+import { Eye } from "lucide-react";
+import { useGameStore } from "../store/useGameStore";
+import GameClock from "./GameClock";
+import VariantBadge from "./VariantBadge";
+import CheckCounter from "./CheckCounter";
+import { RESULT_LABELS } from "../constents";
+import { getPlayerColor } from "../lib/utils";
+import { getGameType } from "../lib/gameTypes";
+
+const PlayerInfo = ({ player, color, game, alignRight = false }) => (
+  <div className={`flex items-center gap-4 ${alignRight ? "flex-row-reverse" : ""}`}>
+    <div className="avatar">
+      <div className="w-12 rounded-full">
+        <img src={player?.profilePic || "/avatar.png"} alt={player?.userName} />
+      </div>
+    </div>
+    <div className={alignRight ? "text-right" : ""}>
+      <p className="font-semibold">{player?.userName}</p>
+      <p className={`text-sm opacity-75 flex items-center gap-1 ${alignRight ? "flex-row-reverse" : ""}`}>
+        {getGameType(game.gameType).colorLabels[color]}
+        <CheckCounter game={game} color={color} />
+      </p>
+      <div className={`flex ${alignRight ? "justify-end" : ""}`}>
+        <GameClock game={game} color={color} />
+      </div>
+    </div>
+  </div>
+);
+
+// Read-only header for people watching a game they don't play in
+const SpectatorHeader = () => {
+  const { selectedGame, spectatorCount } = useGameStore();
+
+  if (!selectedGame) return null;
+
+  const white = selectedGame.players.find(player => getPlayerColor(selectedGame, player._id) === "white");
+  const black = selectedGame.players.find(player => player !== white);
+
+  return (
+    <div className="bg-base-200 p-4">
+      <div className="flex justify-between items-center">
+        <PlayerInfo player={white} color="white" game={selectedGame} />
+
+        <div className="flex flex-col items-center gap-1">
+          <div className="text-lg font-bold">
+            {selectedGame.result
+              ? (selectedGame.winner ? `${selectedGame.winner.userName} won` : "Game Drawn")
+              : `${selectedGame.turn?.userName} to move`}
+          </div>
+          {selectedGame.result && (
+            <p className="text-sm opacity-75">{RESULT_LABELS[selectedGame.result]}</p>
+          )}
+          <VariantBadge gameType={selectedGame.gameType} variant={selectedGame.variant} />
+          <span className="flex items-center gap-1 text-xs opacity-75" title="Spectators">
+            <Eye className="w-3 h-3" />
+            {spectatorCount} watching
+          </span>
+        </div>
+
+        <PlayerInfo player={black} color="black" game={selectedGame} alignRight />
+      </div>
+    </div>
+  );
+};
+
+export default SpectatorHeader;
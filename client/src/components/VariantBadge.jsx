@@ -0,0 +1,15 @@
+import { getGameType } from "../lib/gameTypes";
+
+// Names the game when it isn't standard chess
+const VariantBadge = ({ gameType, variant }) => {
+  const type = getGameType(gameType);
+  const variantLabel = variant && variant !== 'standard'
+    ? type.variants?.find(({ id }) => id === variant)?.label || variant
+    : null;
+  const label = type.id === 'chess' ? variantLabel : [type.label, variantLabel].filter(Boolean).join(' · ');
+  if (!label) return null;
+
+  return <span className="badge badge-sm badge-accent">{label}</span>;
+};
+
+export default VariantBadge;
@@ -31,4 +31,72 @@ export const THEMES = [
     "dim",
     "nord",
     "sunset",
-  ];
\ No newline at end of file
+  ];
+
+export const TIME_CONTROLS = [
+    { id: "unlimited", label: "Unlimited", category: "unlimited" },
+    { id: "1+0", label: "Bullet 1+0", category: "bullet" },
+    { id: "2+1", label: "Bullet 2+1", category: "bullet" },
+    { id: "3+2", label: "Blitz 3+2", category: "blitz" },
+    { id: "5+0", label: "Blitz 5+0", category: "blitz" },
+    { id: "5+3", label: "Blitz 5+3", category: "blitz" },
+    { id: "10+0", label: "Rapid 10+0", category: "rapid" },
+    { id: "15+10", label: "Rapid 15+10", category: "rapid" },
+    { id: "corr-1", label: "1 day / move", category: "correspondence" },
+    { id: "corr-3", label: "3 days / move", category: "correspondence" },
+    { id: "corr-7", label: "7 days / move", category: "correspondence" },
+  ];
+
+export const RATING_CATEGORIES = [
+    { id: "bullet", label: "Bullet" },
+    { id: "blitz", label: "Blitz" },
+    { id: "rapid", label: "Rapid" },
+    { id: "correspondence", label: "Correspondence" },
+    { id: "unlimited", label: "Unlimited" },
+  ];
+
+export const BOT_LEVELS = [
+    { level: 1, label: "Beginner" },
+    { level: 2, label: "Casual" },
+    { level: 3, label: "Intermediate" },
+    { level: 4, label: "Strong" },
+  ];
+
+// Chess variants offered on invite
+export const CHESS_VARIANTS = [
+    { id: "standard", label: "Standard" },
+    { id: "chess960", label: "Chess960" },
+    { id: "kingOfTheHill", label: "King of the Hill" },
+    { id: "threeCheck", label: "Three-check" },
+  ];
+
+export const TOURNAMENT_FORMATS = [
+    { id: "roundRobin", label: "Round robin" },
+    { id: "swiss", label: "Swiss" },
+  ];
+
+// Matchmaking rating ranges, null accepts any opponent
+export const RATING_RANGES = [
+    { value: 100, label: "±100" },
+    { value: 200, label: "±200" },
+    { value: 400, label: "±400" },
+    { value: null, label: "Any rating" },
+  ];
+
+export const RESULT_LABELS = {
+    checkmate: "Checkmate",
+    kingOfTheHill: "King reached the hill",
+    threeCheck: "Third check",
+    fourInARow: "Four in a row",
+    boardFull: "Board full",
+    noMovesLeft: "No moves left",
+    fortyMoveRule: "Forty-move rule",
+    resignation: "Resignation",
+    timeout: "Time forfeit",
+    abandonment: "Opponent left",
+    draw: "Draw by agreement",
+    stalemate: "Stalemate",
+    threefoldRepetition: "Threefold repetition",
+    insufficientMaterial: "Insufficient material",
+    fiftyMoveRule: "Fifty-move rule",
+  };
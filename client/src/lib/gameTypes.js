@@ -0,0 +1,42 @@
+import ChessBoard from "../components/ChessBoard";
+import ConnectFourBoard from "../components/ConnectFourBoard";
+import DraughtsBoard from "../components/DraughtsBoard";
+import { CHESS_VARIANTS } from "../constents";
+
+// What the client needs to show each kind of game, keyed by the server's gameType.
+// Boards get { position, onMove(move), orientation, disabled, lastMove, playerColor, variant }
+export const GAME_TYPES = {
+  chess: {
+    id: "chess",
+    label: "Chess",
+    Board: ChessBoard,
+    variants: CHESS_VARIANTS,
+    colorLabels: { white: "White", black: "Black" },
+    rated: true,
+    hasPgn: true,
+  },
+  connectFour: {
+    id: "connectFour",
+    label: "Connect Four",
+    Board: ConnectFourBoard,
+    variants: [{ id: "standard", label: "Standard" }],
+    colorLabels: { white: "Red", black: "Yellow" },
+    rated: false,
+    hasPgn: false,
+  },
+  draughts: {
+    id: "draughts",
+    label: "Draughts",
+    Board: DraughtsBoard,
+    variants: [{ id: "standard", label: "English" }],
+    // The white seat plays the dark pieces, which move first
+    colorLabels: { white: "Dark", black: "Light" },
+    rated: false,
+    hasPgn: false,
+  },
+};
+
+// Games from before there were other types are chess
+export function getGameType(id) {
+  return GAME_TYPES[id] || GAME_TYPES.chess;
+}
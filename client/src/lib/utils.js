@@ -26,4 +26,60 @@ export function formatDate (date) {
   });
 };
 
-  
\ No newline at end of file
+// Formats a clock in ms: "1d 4h" for correspondence, "4:05" or "0:09.3" otherwise
+export function formatClock(ms) {
+  const time = Math.max(ms, 0);
+  const days = Math.floor(time / 86400000);
+  const hours = Math.floor((time % 86400000) / 3600000);
+  if (days > 0) return `${days}d ${hours}h`;
+
+  const minutes = Math.floor((time % 3600000) / 60000);
+  const seconds = Math.floor((time % 60000) / 1000);
+  if (hours > 0) return `${hours}:${String(minutes).padStart(2, "0")}:${String(seconds).padStart(2, "0")}`;
+  if (time < 10000) return `0:0${seconds}.${Math.floor((time % 1000) / 100)}`;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
+
+// Time the side to move has left, null for untimed games
+export function getTimeLeft(game, now = Date.now()) {
+  if (game.moveDeadline) return new Date(game.moveDeadline).getTime() - now;
+  if (!game.clock?.lastMoveAt) return null;
+  return game.clock[getSideToMove(game)] - (now - new Date(game.clock.lastMoveAt).getTime());
+}
+
+export function isGameFinished(game) {
+  return ["completed", "drawn", "resigned"].includes(game.status);
+}
+
+// Board position after the first `ply` half-moves of a game
+export function getPositionAt(game, ply) {
+  if (ply <= 0) return game.initialPosition;
+  return game.moves[ply - 1]?.fen || game.currentPosition;
+}
+
+// "1632", or "1500?" while the rating is still provisional
+export function formatRating(rating) {
+  if (!rating) return "";
+  return `${Math.round(rating.rating)}${rating.rd > 110 ? "?" : ""}`;
+}
+
+// 'white' or 'black' for a player of the game, works with populated or raw ids
+export function getPlayerColor(game, userId) {
+  const idOf = (ref) => ref?._id || ref;
+  // Older games have no color fields, the inviter (first player) played white
+  const white = idOf(game.white) || idOf(game.players[0]);
+  return white === userId ? "white" : "black";
+}
+
+// Checks given by each side so far, Three-check is won on the third
+export function countChecks(game) {
+  return game.moves.reduce((checks, move) => {
+    if (/[+#]$/.test(move.san)) checks[getPlayerColor(game, move.by)]++;
+    return checks;
+  }, { white: 0, black: 0 });
+}
+
+// Color of the player whose turn it is, works for every game type
+export function getSideToMove(game) {
+  return getPlayerColor(game, game.turn?._id || game.turn);
+}
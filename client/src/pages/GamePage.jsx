@@ -2,16 +2,35 @@ import { useEffect } from 'react';
 import ChatContainer from '../components/ChatContainer';
 import GameContainer from '../components/GameContainer';
 import GameHeader from '../components/GameHeader';
+import MoveList from '../components/MoveList';
 import { useGameStore } from '../store/useGameStore';
+import { useAuthStore } from '../store/useAuthStore';
+import { isGameFinished } from '../lib/utils';
 
 const GamePage = () => {
-  const { subscribeToGameEvents, unsubscribeFromGameEvents } = useGameStore();
+  const {
+    selectedGame,
+    replayPly,
+    setReplayPly,
+    subscribeToGameEvents,
+    unsubscribeFromGameEvents
+  } = useGameStore();
+  const isReplay = selectedGame && isGameFinished(selectedGame);
 
   useEffect(() => {
     subscribeToGameEvents();
     return () => unsubscribeFromGameEvents();
   }, [subscribeToGameEvents, unsubscribeFromGameEvents]);
 
+  // Follow the selected game's room, it changes when a rematch starts
+  const gameId = selectedGame?._id;
+  useEffect(() => {
+    if (!gameId) return;
+    const socket = useAuthStore.getState().socket;
+    socket.emit("joinGame", gameId);
+    return () => socket.emit("leaveGame", gameId);
+  }, [gameId]);
+
   return (
     <div className="lg:fixed relative inset-0 flex flex-col bg-base-300">
       <div className="flex-1 container mx-auto pt-16 px-4 pb-4 flex flex-col overflow-hidden">
@@ -35,6 +54,16 @@ const GamePage = () => {
                         flex min-h-0
                         h-[60vh] lg:h-auto">
             <GameContainer/>
+
+            {/* Move List */}
+            <div className="w-48 border-l border-base-300 hidden sm:flex min-h-0">
+              <MoveList
+                moves={selectedGame?.moves}
+                initialPosition={selectedGame?.initialPosition}
+                currentPly={isReplay ? replayPly ?? selectedGame.moves.length : undefined}
+                onSelectMove={isReplay ? setReplayPly : undefined}
+              />
+            </div>
           </div>
         </div>
       </div>
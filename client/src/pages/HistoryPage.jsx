@@ -0,0 +1,170 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { ChevronLeft, ChevronRight, History, Loader2 } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+import { useGameStore } from "../store/useGameStore";
+import { RESULT_LABELS } from "../constents";
+
+const EMPTY_FILTERS = {
+  opponent: "",
+  result: "",
+  termination: "",
+  from: "",
+  to: "",
+};
+
+// Outcome of a finished game from the viewer's side
+const getOutcome = (game, userId) => {
+  if (!game.winner) return { label: "Draw", className: "badge-ghost" };
+  return game.winner._id === userId
+    ? { label: "Won", className: "badge-success" }
+    : { label: "Lost", className: "badge-error" };
+};
+
+const HistoryPage = () => {
+  const { authUser } = useAuthStore();
+  const { users, getUsers } = useChatStore();
+  const { history, isHistoryLoading, getGameHistory } = useGameStore();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    getUsers();
+  }, [getUsers]);
+
+  useEffect(() => {
+    getGameHistory({ ...filters, page });
+  }, [getGameHistory, filters, page]);
+
+  const updateFilter = (name, value) => {
+    setFilters({ ...filters, [name]: value });
+    setPage(1);
+  };
+
+
+  return (
+    <div className="min-h-screen pt-20 pb-8">
+      <div className="max-w-4xl mx-auto p-4">
+        <div className="bg-base-200 rounded-lg p-4 shadow-lg">
+          <div className="flex items-center justify-between mb-4 border-b pb-2">
+            <div className="flex items-center gap-2">
+              <History className="w-5 h-5" />
+              <h2 className="text-lg font-semibold">Game History</h2>
+            </div>
+            <span className="text-sm opacity-75">{history.total} games</span>
+          </div>
+
+          {/* Filters */}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mb-4">
+            <select
+              className="select select-bordered select-sm"
+              value={filters.opponent}
+              onChange={(e) => updateFilter("opponent", e.target.value)}
+            >
+              <option value="">All opponents</option>
+              {users.map((user) => (
+                <option key={user._id} value={user._id}>{user.userName}</option>
+              ))}
+            </select>
+            <select
+              className="select select-bordered select-sm"
+              value={filters.result}
+              onChange={(e) => updateFilter("result", e.target.value)}
+            >
+              <option value="">All results</option>
+              <option value="won">Won</option>
+              <option value="lost">Lost</option>
+              <option value="drawn">Drawn</option>
+            </select>
+            <select
+              className="select select-bordered select-sm"
+              value={filters.termination}
+              onChange={(e) => updateFilter("termination", e.target.value)}
+            >
+              <option value="">Any termination</option>
+              {Object.entries(RESULT_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              className="input input-bordered input-sm"
+              value={filters.from}
+              onChange={(e) => updateFilter("from", e.target.value)}
+              title="From"
+            />
+            <input
+              type="date"
+              className="input input-bordered input-sm"
+              value={filters.to}
+              onChange={(e) => updateFilter("to", e.target.value)}
+              title="To"
+            />
+          </div>
+
+          {/* Games */}
+          {isHistoryLoading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="w-6 h-6 animate-spin" />
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {history.games.map((game) => {
+                const opponent = game.players.find(p => p._id !== authUser._id);
+                const outcome = getOutcome(game, authUser._id);
+                return (
+                  <div key={game._id} className="bg-base-100 p-3 rounded-lg flex items-center justify-between gap-2">
+                    <div className="flex items-center gap-3">
+                      <span className={`badge ${outcome.className} w-12`}>{outcome.label}</span>
+                      <div>
+                        <p className="font-medium">vs {opponent?.userName}</p>
+                        <p className="text-xs opacity-75">
+                          {RESULT_LABELS[game.result]} · {game.moves.length} moves · {new Date(game.updatedAt).toLocaleDateString()}
+                        </p>
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => navigate(`/replay/${game._id}`)}
+                      className="px-3 py-1.5 bg-primary/10 hover:bg-primary/20 text-primary rounded-lg transition-colors"
+                    >
+                      Replay
+                    </button>
+                  </div>
+                );
+              })}
+              {history.games.length === 0 && (
+                <div className="text-center text-gray-500 py-8">No finished games</div>
+              )}
+            </div>
+          )}
+
+          {/* Pagination */}
+          {history.totalPages > 1 && (
+            <div className="flex items-center justify-center gap-2 mt-4">
+              <button
+                className="btn btn-sm btn-ghost"
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <span className="text-sm">Page {history.page} of {history.totalPages}</span>
+              <button
+                className="btn btn-sm btn-ghost"
+                onClick={() => setPage(page + 1)}
+                disabled={page >= history.totalPages}
+              >
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPage;
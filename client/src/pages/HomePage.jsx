@@ -1,9 +1,14 @@
-import { X, Check, Send, Users, GamepadIcon, Gamepad2Icon, ScrollText, User2Icon } from "lucide-react";
+import { X, Check, Send, Users, GamepadIcon, Gamepad2Icon, ScrollText, User2Icon, Upload, Search, Loader2, Bot, Clock } from "lucide-react";
 import { useAuthStore } from "../store/useAuthStore";
 import { useChatStore } from "../store/useChatStore";
 import { useGameStore } from "../store/useGameStore";
 import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
+import PgnImportModal from "../components/PgnImportModal";
+import VariantBadge from "../components/VariantBadge";
+import { BOT_LEVELS, RATING_RANGES, TIME_CONTROLS } from "../constents";
+import { GAME_TYPES, getGameType } from "../lib/gameTypes";
+import { formatClock, getTimeLeft } from "../lib/utils";
 
 const HomePage = () => {
   const { getUsers, users, setSelectedUser } = useChatStore();
@@ -16,12 +21,29 @@ const HomePage = () => {
     acceptGameInvite, 
     declineGameInvite, 
     sendGameInvite,
+    seek,
+    createSeek,
+    cancelSeek,
+    getGame,
+    createBotGame,
     subscribeToGameEvents,
     unsubscribeFromGameEvents
   } = useGameStore();
 
   const { onlineUsers, authUser } = useAuthStore();
   const [showOnlineOnly, setShowOnlineOnly] = useState(false)
+  const [showImport, setShowImport] = useState(false);
+  const [ratingRange, setRatingRange] = useState(200);
+  const [botLevel, setBotLevel] = useState(2);
+  const [inviteOptions, setInviteOptions] = useState({
+    timeControl: "unlimited",
+    color: "random",
+    gameType: "chess",
+    variant: "standard",
+    fen: "",
+    rated: false,
+    isPrivate: false,
+  });
 
   const navigate = useNavigate();
 
@@ -36,7 +58,46 @@ const HomePage = () => {
     };
   }, [subscribeToGameEvents, unsubscribeFromGameEvents, declineGameInvite, acceptGameInvite]);
 
+  // Matched players go straight into their new game
+  useEffect(() => {
+    const { socket } = useAuthStore.getState();
+
+    const handleMatchFound = async ({ gameId }) => {
+      const game = await getGame(gameId);
+      if (!game) return;
+      setSelectedUser(game.players.find(p => p._id !== authUser._id));
+      navigate(`/game`);
+    };
+
+    socket.on("matchFound", handleMatchFound);
+    return () => socket.off("matchFound", handleMatchFound);
+  }, [getGame, setSelectedUser, navigate, authUser]);
+
+  // Seeking only lasts while the page is open
+  useEffect(() => {
+    return () => {
+      if (useGameStore.getState().seek) cancelSeek();
+    };
+  }, [cancelSeek]);
+
   const filteredUsers = showOnlineOnly ? users.filter(user => onlineUsers.includes(user._id)) : users;
+
+  const openGame = (game) => {
+    setShowImport(false);
+    setSelectedGame(game);
+    setSelectedUser(game.players.find(p => p._id !== authUser._id));
+    navigate(`/game`);
+  };
+
+  // Nobody online is no reason not to play
+  const playComputer = async () => {
+    const game = await createBotGame({
+      level: botLevel,
+      color: inviteOptions.color,
+      timeControl: inviteOptions.timeControl
+    });
+    if (game) openGame(game);
+  };
   
   
   
@@ -60,7 +121,151 @@ const HomePage = () => {
               <span className="text-sm">Show online only</span>
             </label>
           </div>
+
+          {/* Options used for new invites */}
+          <div className="space-y-2 mb-3">
+            <div className="flex gap-2">
+              {/* Other games have their own variants and no FEN */}
+              <select
+                className="select select-bordered select-sm"
+                value={inviteOptions.gameType}
+                onChange={(e) => setInviteOptions({
+                  ...inviteOptions,
+                  gameType: e.target.value,
+                  variant: "standard",
+                  fen: "",
+                  rated: inviteOptions.rated && !!GAME_TYPES[e.target.value].rated
+                })}
+                title="Game"
+              >
+                {Object.values(GAME_TYPES).map((gameType) => (
+                  <option key={gameType.id} value={gameType.id}>{gameType.label}</option>
+                ))}
+              </select>
+              <select
+                className="select select-bordered select-sm flex-1"
+                value={inviteOptions.timeControl}
+                onChange={(e) => setInviteOptions({ ...inviteOptions, timeControl: e.target.value })}
+                title="Time control"
+              >
+                {TIME_CONTROLS.map((tc) => (
+                  <option key={tc.id} value={tc.id}>{tc.label}</option>
+                ))}
+              </select>
+              <select
+                className="select select-bordered select-sm"
+                value={inviteOptions.color}
+                onChange={(e) => setInviteOptions({ ...inviteOptions, color: e.target.value })}
+                title="Your color"
+              >
+                <option value="random">Random</option>
+                <option value="white">{getGameType(inviteOptions.gameType).colorLabels.white}</option>
+                <option value="black">{getGameType(inviteOptions.gameType).colorLabels.black}</option>
+              </select>
+            </div>
+            <div className="flex gap-2 items-center">
+              {/* Chess960 draws its own starting position */}
+              <select
+                className="select select-bordered select-sm"
+                value={inviteOptions.variant}
+                onChange={(e) => setInviteOptions({
+                  ...inviteOptions,
+                  variant: e.target.value,
+                  fen: "",
+                  rated: inviteOptions.rated && e.target.value === "standard"
+                })}
+                title="Variant"
+              >
+                {getGameType(inviteOptions.gameType).variants.map((variant) => (
+                  <option key={variant.id} value={variant.id}>{variant.label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                className="input input-bordered input-sm flex-1 font-mono text-xs"
+                placeholder="Starting FEN (optional)"
+                disabled={inviteOptions.gameType !== "chess" || inviteOptions.variant !== "standard"}
+                value={inviteOptions.fen}
+                onChange={(e) => setInviteOptions({ ...inviteOptions, fen: e.target.value, rated: false })}
+              />
+              {/* Custom positions and variants are always casual */}
+              <label className="cursor-pointer flex items-center gap-1" title="Rated game">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm"
+                  checked={inviteOptions.rated}
+                  disabled={
+                    !!inviteOptions.fen.trim() ||
+                    !getGameType(inviteOptions.gameType).rated ||
+                    inviteOptions.variant !== "standard"
+                  }
+                  onChange={(e) => setInviteOptions({ ...inviteOptions, rated: e.target.checked })}
+                />
+                <span className="text-sm">Rated</span>
+              </label>
+              <label className="cursor-pointer flex items-center gap-1" title="No spectators">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm"
+                  checked={inviteOptions.isPrivate}
+                  onChange={(e) => setInviteOptions({ ...inviteOptions, isPrivate: e.target.checked })}
+                />
+                <span className="text-sm">Private</span>
+              </label>
+            </div>
+          </div>
           
+          {/* Matchmaking with the same time control and rated flag */}
+          <div className="flex gap-2 mb-3">
+            <select
+              className="select select-bordered select-sm flex-1"
+              value={ratingRange ?? ""}
+              onChange={(e) => setRatingRange(e.target.value === "" ? null : Number(e.target.value))}
+              disabled={!!seek}
+              title="Opponent rating range"
+            >
+              {RATING_RANGES.map((range) => (
+                <option key={range.label} value={range.value ?? ""}>{range.label}</option>
+              ))}
+            </select>
+            {seek ? (
+              <button className="btn btn-sm btn-outline gap-1" onClick={cancelSeek}>
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Cancel search
+              </button>
+            ) : (
+              <button
+                className="btn btn-sm btn-primary gap-1"
+                onClick={() => createSeek({
+                  timeControl: inviteOptions.timeControl,
+                  rated: inviteOptions.rated,
+                  ratingRange
+                })}
+              >
+                <Search className="w-4 h-4" />
+                Find opponent
+              </button>
+            )}
+          </div>
+
+          {/* Computer opponent with the same time control and color */}
+          <div className="flex gap-2 mb-3">
+            <select
+              className="select select-bordered select-sm flex-1"
+              value={botLevel}
+              onChange={(e) => setBotLevel(Number(e.target.value))}
+              title="Computer strength"
+            >
+              {BOT_LEVELS.map((bot) => (
+                <option key={bot.level} value={bot.level}>Level {bot.level}: {bot.label}</option>
+              ))}
+            </select>
+            <button className="btn btn-sm btn-secondary gap-1" onClick={playComputer}>
+              <Bot className="w-4 h-4" />
+              Play vs Computer
+            </button>
+          </div>
+
           <div className="space-y-3 overflow-y-auto flex-1">
             {filteredUsers.map((user) => (
               <div key={user._id} className="bg-base-100 p-3 rounded-lg flex items-center justify-between">
@@ -73,7 +278,10 @@ const HomePage = () => {
                 </div>
                 <div className="flex gap-2">
                   <button 
-                    onClick={() =>sendGameInvite(user._id)}
+                    onClick={() => sendGameInvite(user._id, {
+                      ...inviteOptions,
+                      fen: inviteOptions.fen.trim() || undefined
+                    })}
                     title="Send game invite"
                     className="p-2 bg-blue-500/10 hover:bg-blue-500/20 text-blue-500 rounded-full transition-colors"
                   >
@@ -101,6 +309,8 @@ const HomePage = () => {
                 <div className="flex items-center gap-2">
                   <User2Icon className="w-5 h-5" />
                   <span className="font-medium">{invite.invitedBy?.userName}</span>
+                  {invite.rated && <span className="badge badge-sm badge-primary">Rated</span>}
+                  <VariantBadge gameType={invite.gameType} variant={invite.variant} />
                 </div>
                 <div className="flex gap-2">
                   <button 
@@ -128,9 +338,19 @@ const HomePage = () => {
 
         {/* Active Games Section */}
         <div className="bg-base-200 rounded-lg p-4 shadow-lg h-[350px] md:h-[500px] flex flex-col">
-          <div className="flex items-center gap-2 mb-4 border-b pb-2">
-            <Gamepad2Icon className="w-5 h-5" />
-            <h2 className="text-lg font-semibold">Active Games</h2>
+          <div className="flex items-center justify-between mb-4 border-b pb-2">
+            <div className="flex items-center gap-2">
+              <Gamepad2Icon className="w-5 h-5" />
+              <h2 className="text-lg font-semibold">Active Games</h2>
+            </div>
+            <button
+              onClick={() => setShowImport(true)}
+              title="Import a game from PGN"
+              className="btn btn-xs btn-ghost gap-1"
+            >
+              <Upload className="w-3 h-3" />
+              Import PGN
+            </button>
           </div>
           
           <div className="space-y-3 overflow-y-auto flex-1">
@@ -142,9 +362,20 @@ const HomePage = () => {
               >
                 <div className="flex items-center gap-2">
                   <GamepadIcon className="w-4 h-4" />
-                  <span className="font-medium">
-                    Playing with {game.players.find(p => p._id !== authUser._id).userName}
-                  </span>
+                  <div>
+                    <div className="flex items-center gap-1">
+                      <span className="font-medium">
+                        Playing with {game.players.find(p => p._id !== authUser._id).userName}
+                      </span>
+                      <VariantBadge gameType={game.gameType} variant={game.variant} />
+                    </div>
+                    {getTimeLeft(game) != null && (
+                      <p className="text-xs opacity-75 flex items-center gap-1">
+                        <Clock className="w-3 h-3" />
+                        {formatClock(getTimeLeft(game))} left to move
+                      </p>
+                    )}
+                  </div>
                 </div>
                 <button 
                   onClick={() => {
@@ -165,6 +396,14 @@ const HomePage = () => {
           </div>
         </div>
       </div>
+
+      {showImport && (
+        <PgnImportModal
+          users={users}
+          onClose={() => setShowImport(false)}
+          onImported={openGame}
+        />
+      )}
     </div>
   );
 };
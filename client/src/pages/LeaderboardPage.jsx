@@ -0,0 +1,144 @@
+import { useEffect, useState } from "react";
+import { ChevronLeft, ChevronRight, Loader2, Send, Trophy } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+import { useGameStore } from "../store/useGameStore";
+import { useLeaderboardStore } from "../store/useLeaderboardStore";
+import { RATING_CATEGORIES, TIME_CONTROLS } from "../constents";
+
+const LeaderboardPage = () => {
+  const { authUser, onlineUsers } = useAuthStore();
+  const { sendGameInvite } = useGameStore();
+  const { leaderboard, isLeaderboardLoading, getLeaderboard } = useLeaderboardStore();
+  const [filters, setFilters] = useState({ category: "blitz", sort: "rating", minGames: 0 });
+  const [page, setPage] = useState(1);
+
+  useEffect(() => {
+    getLeaderboard({ ...filters, page });
+  }, [getLeaderboard, filters, page]);
+
+  const updateFilter = (name, value) => {
+    setFilters({ ...filters, [name]: value });
+    setPage(1);
+  };
+
+  // Challenges use the first time control of the category, rated on the rating board
+  const challenge = (player) => {
+    const timeControl = TIME_CONTROLS.find(tc => tc.category === filters.category);
+    sendGameInvite(player._id, { timeControl: timeControl.id, rated: filters.sort === "rating" });
+  };
+
+  return (
+    <div className="min-h-screen pt-20 pb-8">
+      <div className="max-w-4xl mx-auto p-4">
+        <div className="bg-base-200 rounded-lg p-4 shadow-lg">
+          <div className="flex items-center gap-2 mb-4 border-b pb-2">
+            <Trophy className="w-5 h-5" />
+            <h2 className="text-lg font-semibold">Leaderboard</h2>
+          </div>
+
+          {/* Filters */}
+          <div className="flex flex-wrap gap-2 mb-4">
+            <select
+              className="select select-bordered select-sm"
+              value={filters.category}
+              onChange={(e) => updateFilter("category", e.target.value)}
+            >
+              {RATING_CATEGORIES.map((category) => (
+                <option key={category.id} value={category.id}>{category.label}</option>
+              ))}
+            </select>
+            <select
+              className="select select-bordered select-sm"
+              value={filters.sort}
+              onChange={(e) => updateFilter("sort", e.target.value)}
+            >
+              <option value="rating">Rated: by rating</option>
+              <option value="wins">Casual: by wins</option>
+            </select>
+            <label className="flex items-center gap-2 text-sm">
+              Min games
+              <input
+                type="number"
+                min={0}
+                className="input input-bordered input-sm w-20"
+                value={filters.minGames}
+                onChange={(e) => updateFilter("minGames", Math.max(Number(e.target.value) || 0, 0))}
+              />
+            </label>
+          </div>
+
+          {isLeaderboardLoading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="w-6 h-6 animate-spin" />
+            </div>
+          ) : (
+            <table className="table table-sm w-full">
+              <thead>
+                <tr>
+                  <th className="w-12">#</th>
+                  <th>Player</th>
+                  <th className="text-right">{filters.sort === "rating" ? "Rating" : "Wins"}</th>
+                  <th className="text-right">Games</th>
+                  <th className="w-12"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {leaderboard.players.map((player) => (
+                  <tr key={player._id} className={player._id === authUser._id ? "bg-base-300" : ""}>
+                    <td>{player.rank}</td>
+                    <td>
+                      <div className="flex items-center gap-2">
+                        <div className="relative">
+                          <img src={player.profilePic || "/avatar.png"} alt={player.userName} className="size-8 rounded-full object-cover" />
+                          {onlineUsers.includes(player._id) && (
+                            <span className="absolute bottom-0 right-0 size-2 bg-green-500 rounded-full ring-2 ring-base-200" />
+                          )}
+                        </div>
+                        <span className="font-medium">{player.userName}</span>
+                      </div>
+                    </td>
+                    <td className="text-right font-mono">
+                      {filters.sort === "rating" ? player.rating : player.wins}
+                    </td>
+                    <td className="text-right">{player.games}</td>
+                    <td>
+                      {player._id !== authUser._id && (
+                        <button
+                          onClick={() => challenge(player)}
+                          title="Challenge"
+                          className="p-2 bg-blue-500/10 hover:bg-blue-500/20 text-blue-500 rounded-full transition-colors"
+                        >
+                          <Send className="w-4 h-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {leaderboard.players.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="text-center text-gray-500 py-8">No players yet</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          )}
+
+          {/* Pagination */}
+          {leaderboard.totalPages > 1 && (
+            <div className="flex items-center justify-center gap-2 mt-4">
+              <button className="btn btn-sm btn-ghost" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <span className="text-sm">Page {leaderboard.page} of {leaderboard.totalPages}</span>
+              <button className="btn btn-sm btn-ghost" onClick={() => setPage(page + 1)} disabled={page >= leaderboard.totalPages}>
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LeaderboardPage;
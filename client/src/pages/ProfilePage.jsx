@@ -1,12 +1,23 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { useAuthStore } from "../store/useAuthStore";
-import { Camera, Mail, User } from "lucide-react";
+import { Camera, Mail, TrendingUp, User } from "lucide-react";
 import toast from "react-hot-toast";
+import RatingChart from "../components/RatingChart";
+import { RATING_CATEGORIES } from "../constents";
+import { formatRating } from "../lib/utils";
 
 
 const ProfilePage = () => {
-  const { authUser, isUpdatingProfile, updateProfile } = useAuthStore();
+  const { authUser, isUpdatingProfile, updateProfile, ratingData, getRatingHistory } = useAuthStore();
   const [selectedImg, setSelectedImg] = useState(null);
+  const [ratingCategory, setRatingCategory] = useState("blitz");
+
+  useEffect(() => {
+    getRatingHistory();
+  }, [getRatingHistory]);
+
+  const ratings = ratingData?.ratings || authUser.ratings;
+  const ratingEntries = (ratingData?.history || []).filter(entry => entry.category === ratingCategory);
 
   const handleImageUpload = async (e) => {
     const file = e.target.files[0];
@@ -90,6 +101,29 @@ const ProfilePage = () => {
             </div>
           </div>
 
+          <div className="space-y-3">
+            <div className="text-sm text-zinc-400 flex items-center gap-2">
+              <TrendingUp className="w-4 h-4" />
+              Ratings
+            </div>
+            <div role="tablist" className="tabs tabs-boxed">
+              {RATING_CATEGORIES.map((category) => (
+                <button
+                  key={category.id}
+                  role="tab"
+                  className={`tab flex-col h-auto py-1 ${ratingCategory === category.id ? "tab-active" : ""}`}
+                  onClick={() => setRatingCategory(category.id)}
+                >
+                  <span className="text-xs">{category.label}</span>
+                  <span className="font-semibold">{formatRating(ratings?.[category.id]) || "-"}</span>
+                </button>
+              ))}
+            </div>
+            <div className="bg-base-200 rounded-lg border p-2">
+              <RatingChart entries={ratingEntries} />
+            </div>
+          </div>
+
           <div className="mt-6 bg-base-300 rounded-xl p-6">
             <h2 className="text-lg font-medium  mb-4">Account Information</h2>
             <div className="space-y-3 text-sm">
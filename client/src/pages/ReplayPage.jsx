@@ -0,0 +1,57 @@
+import { useEffect } from "react";
+import { useParams } from "react-router-dom";
+import { Loader } from "lucide-react";
+import GameHeader from "../components/GameHeader";
+import GameReplay from "../components/GameReplay";
+import MoveList from "../components/MoveList";
+import { useAuthStore } from "../store/useAuthStore";
+import { useGameStore } from "../store/useGameStore";
+import { getPlayerColor } from "../lib/utils";
+
+// Shareable replay of a single game, loaded by id
+const ReplayPage = () => {
+  const { gameId } = useParams();
+  const { authUser } = useAuthStore();
+  const { selectedGame, getGame, replayPly, setReplayPly, isGameDetailsLoading } = useGameStore();
+
+  useEffect(() => {
+    getGame(gameId);
+  }, [getGame, gameId]);
+
+  if (!selectedGame || selectedGame._id !== gameId) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        {isGameDetailsLoading
+          ? <Loader className="size-10 animate-spin" />
+          : <p className="text-lg">Game not found</p>}
+      </div>
+    );
+  }
+
+  const orientation = getPlayerColor(selectedGame, authUser._id);
+
+  return (
+    <div className="lg:fixed relative inset-0 flex flex-col bg-base-300">
+      <div className="flex-1 container mx-auto pt-16 px-4 pb-4 flex flex-col overflow-hidden">
+        <div className="rounded-t-lg mb-4">
+          <GameHeader />
+        </div>
+
+        <div className="flex min-h-0 flex-1 bg-base-100 rounded-lg shadow-lg">
+          <GameReplay game={selectedGame} orientation={orientation} />
+
+          <div className="w-48 border-l border-base-300 flex min-h-0">
+            <MoveList
+              moves={selectedGame.moves}
+              initialPosition={selectedGame.initialPosition}
+              currentPly={replayPly ?? selectedGame.moves.length}
+              onSelectMove={setReplayPly}
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayPage;
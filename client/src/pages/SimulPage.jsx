@@ -0,0 +1,156 @@
+import { useEffect } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { LayoutGrid, Loader2, Play } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+import { useGameStore } from "../store/useGameStore";
+import { useSimulStore } from "../store/useSimulStore";
+import SimulDashboard from "../components/SimulDashboard";
+import { RESULT_LABELS, TIME_CONTROLS } from "../constents";
+
+const SimulPage = () => {
+  const { simulId } = useParams();
+  const { authUser } = useAuthStore();
+  const { setSelectedUser } = useChatStore();
+  const { getGame } = useGameStore();
+  const { simulDetails, isSimulLoading, getSimul, joinSimul, leaveSimul, startSimul } = useSimulStore();
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    getSimul(simulId);
+  }, [getSimul, simulId]);
+
+  // Opponents find out here when the host starts
+  useEffect(() => {
+    const { socket } = useAuthStore.getState();
+
+    const handleSimulStarted = (data) => {
+      if (data.simulId === simulId) getSimul(simulId);
+    };
+
+    socket.on("simulStarted", handleSimulStarted);
+    return () => socket.off("simulStarted", handleSimulStarted);
+  }, [getSimul, simulId]);
+
+  if (!simulDetails || simulDetails.simul._id !== simulId) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        {isSimulLoading ? <Loader2 className="w-6 h-6 animate-spin" /> : <p>Simul not found</p>}
+      </div>
+    );
+  }
+
+  const { simul, games } = simulDetails;
+  const isHost = simul.host._id === authUser._id;
+  const hasJoined = simul.participants.some(p => p._id === authUser._id);
+
+  // Opponents open their own board, live or as a replay. Everyone else watches
+  const openGame = async (game) => {
+    // The watch page shows finished games too, with a spectator's header
+    if (!game.players.some(p => p._id === authUser._id)) {
+      navigate(`/watch/${game._id}`);
+      return;
+    }
+    if (game.status !== "active") {
+      navigate(`/replay/${game._id}`);
+      return;
+    }
+    const fullGame = await getGame(game._id);
+    if (!fullGame) return;
+    setSelectedUser(fullGame.players.find(p => p._id !== authUser._id));
+    navigate(`/game`);
+  };
+
+  return (
+    <div className="min-h-screen pt-20 pb-8">
+      <div className="max-w-7xl mx-auto p-4 space-y-6">
+        <div className="bg-base-200 rounded-lg p-4 shadow-lg flex flex-wrap items-center justify-between gap-2">
+          <div className="flex items-center gap-2">
+            <LayoutGrid className="w-5 h-5" />
+            <div>
+              <h2 className="text-lg font-semibold">{simul.name}</h2>
+              <p className="text-xs opacity-75">
+                {simul.host.userName} plays {simul.hostColor} on every board
+                {" · "}{TIME_CONTROLS.find(tc => tc.id === simul.timeControl?.id)?.label}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {simul.status === "active" && <span className="badge badge-primary">In progress</span>}
+            {simul.status === "completed" && <span className="badge badge-success">Finished</span>}
+            {simul.status === "pending" && isHost && (
+              <button
+                className="btn btn-primary btn-sm gap-1"
+                onClick={() => startSimul(simulId)}
+                disabled={simul.participants.length === 0}
+              >
+                <Play className="w-4 h-4" />
+                Start
+              </button>
+            )}
+            {simul.status === "pending" && !isHost && (
+              hasJoined ? (
+                <button className="btn btn-ghost btn-sm" onClick={() => leaveSimul(simulId)}>Leave</button>
+              ) : (
+                <button className="btn btn-primary btn-sm" onClick={() => joinSimul(simulId)}>Join</button>
+              )
+            )}
+          </div>
+        </div>
+
+        {simul.status === "pending" && (
+          <div className="bg-base-200 rounded-lg p-4 shadow-lg">
+            <h3 className="font-semibold mb-2">Opponents ({simul.participants.length})</h3>
+            <div className="flex flex-wrap gap-2">
+              {simul.participants.map((participant) => (
+                <div key={participant._id} className="flex items-center gap-2 p-2 bg-base-100 rounded-lg">
+                  <img src={participant.profilePic || "/avatar.png"} alt={participant.userName} className="size-6 rounded-full object-cover" />
+                  <span className="text-sm">{participant.userName}</span>
+                </div>
+              ))}
+              {simul.participants.length === 0 && (
+                <p className="text-sm text-gray-500">Nobody has joined yet</p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {simul.status !== "pending" && isHost && <SimulDashboard />}
+
+        {simul.status !== "pending" && !isHost && (
+          <div className="bg-base-200 rounded-lg p-4 shadow-lg">
+            <h3 className="font-semibold mb-2">Boards</h3>
+            <div className="space-y-2">
+              {games.map((game) => {
+                const opponent = game.players.find(p => p._id !== simul.host._id);
+                const isOwnBoard = opponent?._id === authUser._id;
+                return (
+                  <div
+                    key={game._id}
+                    className={`p-2 rounded-lg flex items-center justify-between ${isOwnBoard ? "bg-base-300" : "bg-base-100"}`}
+                  >
+                    <span className="text-sm">
+                      {simul.host.userName} <span className="opacity-50">vs</span> {opponent?.userName}
+                      {game.status !== "active" && (
+                        <span className="opacity-75">{" · "}{RESULT_LABELS[game.result] || "Finished"}</span>
+                      )}
+                    </span>
+                    <button
+                      onClick={() => openGame(game)}
+                      className="px-3 py-1 bg-primary/10 hover:bg-primary/20 text-primary rounded-lg transition-colors text-sm"
+                    >
+                      {game.status !== "active" ? "Replay" : isOwnBoard ? "Play" : "Watch"}
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SimulPage;
@@ -0,0 +1,115 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { LayoutGrid, Loader2, Plus } from "lucide-react";
+import { useSimulStore } from "../store/useSimulStore";
+import { TIME_CONTROLS } from "../constents";
+
+const STATUS_LABELS = { pending: "Open to join", active: "In progress", completed: "Finished" };
+
+// The host can't keep up with running clocks on every board
+const SIMUL_TIME_CONTROLS = TIME_CONTROLS.filter(tc => ["unlimited", "correspondence"].includes(tc.category));
+
+const SimulsPage = () => {
+  const { simuls, isSimulsLoading, getSimuls, createSimul } = useSimulStore();
+  const [form, setForm] = useState({ name: "", hostColor: "white", timeControl: "unlimited" });
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    getSimuls();
+  }, [getSimuls]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const simul = await createSimul(form);
+    if (simul) navigate(`/simuls/${simul._id}`);
+  };
+
+  return (
+    <div className="min-h-screen pt-20 pb-8">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 max-w-6xl mx-auto p-4">
+        {/* Simul list */}
+        <div className="bg-base-200 rounded-lg p-4 shadow-lg">
+          <div className="flex items-center gap-2 mb-4 border-b pb-2">
+            <LayoutGrid className="w-5 h-5" />
+            <h2 className="text-lg font-semibold">Simuls</h2>
+          </div>
+
+          {isSimulsLoading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="w-6 h-6 animate-spin" />
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {simuls.map((simul) => (
+                <Link
+                  key={simul._id}
+                  to={`/simuls/${simul._id}`}
+                  className="p-3 bg-base-100 rounded-lg flex items-center justify-between hover:bg-base-300 transition-colors"
+                >
+                  <div>
+                    <p className="font-medium">{simul.name}</p>
+                    <p className="text-xs opacity-75">
+                      Hosted by {simul.host.userName}
+                      {" · "}{simul.participants.length} opponents
+                    </p>
+                  </div>
+                  <span className="badge badge-sm">{STATUS_LABELS[simul.status]}</span>
+                </Link>
+              ))}
+              {simuls.length === 0 && (
+                <div className="text-center text-gray-500 py-8">No simuls yet</div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Create form */}
+        <form onSubmit={handleSubmit} className="bg-base-200 rounded-lg p-4 shadow-lg flex flex-col gap-3 h-fit">
+          <div className="flex items-center gap-2 border-b pb-2">
+            <Plus className="w-5 h-5" />
+            <h2 className="text-lg font-semibold">Host a simul</h2>
+          </div>
+
+          <input
+            type="text"
+            className="input input-bordered input-sm"
+            placeholder="Simul name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+          />
+
+          <div className="flex flex-wrap gap-2">
+            <select
+              className="select select-bordered select-sm"
+              value={form.hostColor}
+              onChange={(e) => setForm({ ...form, hostColor: e.target.value })}
+            >
+              <option value="white">I play white</option>
+              <option value="black">I play black</option>
+            </select>
+            <select
+              className="select select-bordered select-sm"
+              value={form.timeControl}
+              onChange={(e) => setForm({ ...form, timeControl: e.target.value })}
+            >
+              {SIMUL_TIME_CONTROLS.map((tc) => (
+                <option key={tc.id} value={tc.id}>{tc.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <p className="text-xs opacity-75">
+            Opponents join from the simul page. Starting it creates a game against each of them.
+          </p>
+
+          <button type="submit" className="btn btn-primary btn-sm" disabled={!form.name.trim()}>
+            Create simul
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SimulsPage;
@@ -0,0 +1,169 @@
+import { useEffect } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { Loader2, Medal, Play } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+import { useGameStore } from "../store/useGameStore";
+import { useTournamentStore } from "../store/useTournamentStore";
+import { TIME_CONTROLS, TOURNAMENT_FORMATS } from "../constents";
+
+// Result from white's side, like a crosstable
+const getScore = (game) => {
+  if (game.status === "active") return null;
+  if (game.status === "drawn") return "½-½";
+  return game.winner === game.white ? "1-0" : "0-1";
+};
+
+const TournamentPage = () => {
+  const { tournamentId } = useParams();
+  const { authUser } = useAuthStore();
+  const { setSelectedUser } = useChatStore();
+  const { getGame } = useGameStore();
+  const { tournamentDetails, isTournamentLoading, getTournament, startTournament } = useTournamentStore();
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    getTournament(tournamentId);
+  }, [getTournament, tournamentId]);
+
+  // Pairings change when a round starts or the tournament ends
+  useEffect(() => {
+    const { socket } = useAuthStore.getState();
+
+    const handleTournamentUpdate = (data) => {
+      if (data.tournamentId === tournamentId) getTournament(tournamentId);
+    };
+
+    socket.on("tournamentRoundStarted", handleTournamentUpdate);
+    socket.on("tournamentFinished", handleTournamentUpdate);
+    return () => {
+      socket.off("tournamentRoundStarted", handleTournamentUpdate);
+      socket.off("tournamentFinished", handleTournamentUpdate);
+    };
+  }, [getTournament, tournamentId]);
+
+  if (!tournamentDetails || tournamentDetails.tournament._id !== tournamentId) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        {isTournamentLoading ? <Loader2 className="w-6 h-6 animate-spin" /> : <p>Tournament not found</p>}
+      </div>
+    );
+  }
+
+  const { tournament, standings, games } = tournamentDetails;
+  const playerName = (playerId) => tournament.participants.find(p => p._id === playerId)?.userName || "Unknown";
+  const rounds = Array.from({ length: tournament.currentRound }, (_, index) => index + 1).reverse();
+
+  // Players open their own games, live or as replays. Everyone else watches
+  const openGame = async (game) => {
+    // The watch page shows finished games too, with a spectator's header
+    if (!game.players.some(p => p._id === authUser._id)) {
+      navigate(`/watch/${game._id}`);
+      return;
+    }
+    if (game.status !== "active") {
+      navigate(`/replay/${game._id}`);
+      return;
+    }
+    const fullGame = await getGame(game._id);
+    if (!fullGame) return;
+    setSelectedUser(fullGame.players.find(p => p._id !== authUser._id));
+    navigate(`/game`);
+  };
+
+  return (
+    <div className="min-h-screen pt-20 pb-8">
+      <div className="max-w-5xl mx-auto p-4 space-y-6">
+        <div className="bg-base-200 rounded-lg p-4 shadow-lg flex flex-wrap items-center justify-between gap-2">
+          <div className="flex items-center gap-2">
+            <Medal className="w-5 h-5" />
+            <div>
+              <h2 className="text-lg font-semibold">{tournament.name}</h2>
+              <p className="text-xs opacity-75">
+                {TOURNAMENT_FORMATS.find(f => f.id === tournament.format)?.label}
+                {" · "}{TIME_CONTROLS.find(tc => tc.id === tournament.timeControl?.id)?.label}
+                {tournament.rated && " · Rated"}
+                {" · "}Organized by {tournament.createdBy.userName}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {tournament.status === "pending" && <span className="badge">Not started</span>}
+            {tournament.status === "active" && (
+              <span className="badge badge-primary">Round {tournament.currentRound} of {tournament.totalRounds}</span>
+            )}
+            {tournament.status === "completed" && <span className="badge badge-success">Finished</span>}
+            {tournament.status === "pending" && tournament.createdBy._id === authUser._id && (
+              <button className="btn btn-primary btn-sm gap-1" onClick={() => startTournament(tournamentId)}>
+                <Play className="w-4 h-4" />
+                Start
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Standings */}
+        <div className="bg-base-200 rounded-lg p-4 shadow-lg">
+          <h3 className="font-semibold mb-2">Standings</h3>
+          <table className="table table-sm w-full">
+            <thead>
+              <tr>
+                <th className="w-12">#</th>
+                <th>Player</th>
+                <th className="text-right">Points</th>
+                <th className="text-right">W / D / L</th>
+                <th className="text-right" title="Sum of opponents' points">Buchholz</th>
+                <th className="text-right" title="Opponents' points weighted by the result against them">SB</th>
+              </tr>
+            </thead>
+            <tbody>
+              {standings.map((row) => (
+                <tr key={row.player} className={row.player === authUser._id ? "bg-base-300" : ""}>
+                  <td>{row.rank}</td>
+                  <td>{playerName(row.player)}</td>
+                  <td className="text-right font-mono">{row.points}</td>
+                  <td className="text-right">{row.wins} / {row.draws} / {row.losses}</td>
+                  <td className="text-right font-mono">{row.buchholz}</td>
+                  <td className="text-right font-mono">{row.sonnebornBerger}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Rounds, latest first */}
+        {rounds.map((round) => (
+          <div key={round} className="bg-base-200 rounded-lg p-4 shadow-lg">
+            <h3 className="font-semibold mb-2">Round {round}</h3>
+            <div className="space-y-2">
+              {games.filter(game => game.round === round).map((game) => (
+                <div key={game._id} className="p-2 bg-base-100 rounded-lg flex items-center justify-between">
+                  <span className="text-sm">
+                    {playerName(game.white)} <span className="opacity-50">vs</span> {playerName(game.black)}
+                  </span>
+                  <div className="flex items-center gap-2">
+                    {getScore(game) && <span className="font-mono text-sm">{getScore(game)}</span>}
+                    <button
+                      onClick={() => openGame(game)}
+                      className="px-3 py-1 bg-primary/10 hover:bg-primary/20 text-primary rounded-lg transition-colors text-sm"
+                    >
+                      {game.status !== "active" ? "Replay" : game.players.some(p => p._id === authUser._id) ? "Play" : "Watch"}
+                    </button>
+                  </div>
+                </div>
+              ))}
+              {tournament.byes.filter(bye => bye.round === round).map((bye) => (
+                <div key={bye.player} className="p-2 text-sm opacity-75">
+                  {playerName(bye.player)} has a bye
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TournamentPage;
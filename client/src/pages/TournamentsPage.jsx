@@ -0,0 +1,175 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { Loader2, Medal, Plus } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+import { useTournamentStore } from "../store/useTournamentStore";
+import { TIME_CONTROLS, TOURNAMENT_FORMATS } from "../constents";
+
+const STATUS_LABELS = { pending: "Not started", active: "In progress", completed: "Finished" };
+
+const TournamentsPage = () => {
+  const { authUser } = useAuthStore();
+  const { users, getUsers } = useChatStore();
+  const { tournaments, isTournamentsLoading, getTournaments, createTournament } = useTournamentStore();
+  const [form, setForm] = useState({
+    name: "",
+    format: "roundRobin",
+    timeControl: "10+0",
+    rated: false,
+    rounds: "",
+    participants: [authUser._id],
+  });
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    getTournaments();
+    getUsers();
+  }, [getTournaments, getUsers]);
+
+  const toggleParticipant = (userId) => {
+    setForm({
+      ...form,
+      participants: form.participants.includes(userId)
+        ? form.participants.filter(id => id !== userId)
+        : [...form.participants, userId],
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const tournament = await createTournament({
+      ...form,
+      // Left empty, the server picks a round count that fits the field
+      rounds: form.format === "swiss" && form.rounds ? Number(form.rounds) : undefined,
+    });
+    if (tournament) navigate(`/tournaments/${tournament._id}`);
+  };
+
+  const players = [authUser, ...users];
+
+  return (
+    <div className="min-h-screen pt-20 pb-8">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 max-w-6xl mx-auto p-4">
+        {/* Tournament list */}
+        <div className="bg-base-200 rounded-lg p-4 shadow-lg">
+          <div className="flex items-center gap-2 mb-4 border-b pb-2">
+            <Medal className="w-5 h-5" />
+            <h2 className="text-lg font-semibold">Tournaments</h2>
+          </div>
+
+          {isTournamentsLoading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="w-6 h-6 animate-spin" />
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {tournaments.map((tournament) => (
+                <Link
+                  key={tournament._id}
+                  to={`/tournaments/${tournament._id}`}
+                  className="p-3 bg-base-100 rounded-lg flex items-center justify-between hover:bg-base-300 transition-colors"
+                >
+                  <div>
+                    <p className="font-medium">{tournament.name}</p>
+                    <p className="text-xs opacity-75">
+                      {TOURNAMENT_FORMATS.find(f => f.id === tournament.format)?.label}
+                      {" · "}{tournament.participants.length} players
+                      {" · "}{tournament.totalRounds} rounds
+                      {tournament.rated && " · Rated"}
+                    </p>
+                  </div>
+                  <span className="badge badge-sm">{STATUS_LABELS[tournament.status]}</span>
+                </Link>
+              ))}
+              {tournaments.length === 0 && (
+                <div className="text-center text-gray-500 py-8">No tournaments yet</div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Create form */}
+        <form onSubmit={handleSubmit} className="bg-base-200 rounded-lg p-4 shadow-lg flex flex-col gap-3">
+          <div className="flex items-center gap-2 border-b pb-2">
+            <Plus className="w-5 h-5" />
+            <h2 className="text-lg font-semibold">New tournament</h2>
+          </div>
+
+          <input
+            type="text"
+            className="input input-bordered input-sm"
+            placeholder="Tournament name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+          />
+
+          <div className="flex flex-wrap gap-2">
+            <select
+              className="select select-bordered select-sm"
+              value={form.format}
+              onChange={(e) => setForm({ ...form, format: e.target.value })}
+            >
+              {TOURNAMENT_FORMATS.map((format) => (
+                <option key={format.id} value={format.id}>{format.label}</option>
+              ))}
+            </select>
+            <select
+              className="select select-bordered select-sm"
+              value={form.timeControl}
+              onChange={(e) => setForm({ ...form, timeControl: e.target.value })}
+            >
+              {TIME_CONTROLS.map((tc) => (
+                <option key={tc.id} value={tc.id}>{tc.label}</option>
+              ))}
+            </select>
+            {form.format === "swiss" && (
+              <input
+                type="number"
+                min={1}
+                className="input input-bordered input-sm w-24"
+                placeholder="Rounds"
+                value={form.rounds}
+                onChange={(e) => setForm({ ...form, rounds: e.target.value })}
+              />
+            )}
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-sm"
+                checked={form.rated}
+                onChange={(e) => setForm({ ...form, rated: e.target.checked })}
+              />
+              Rated
+            </label>
+          </div>
+
+          <div>
+            <p className="text-sm mb-1">Players ({form.participants.length} selected)</p>
+            <div className="max-h-60 overflow-y-auto space-y-1 bg-base-100 rounded-lg p-2">
+              {players.map((user) => (
+                <label key={user._id} className="flex items-center gap-2 p-1 rounded hover:bg-base-200 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="checkbox checkbox-sm"
+                    checked={form.participants.includes(user._id)}
+                    onChange={() => toggleParticipant(user._id)}
+                  />
+                  <img src={user.profilePic || "/avatar.png"} alt={user.userName} className="size-6 rounded-full object-cover" />
+                  <span className="text-sm">{user._id === authUser._id ? `${user.userName} (you)` : user.userName}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <button type="submit" className="btn btn-primary btn-sm" disabled={!form.name.trim() || form.participants.length < 3}>
+            Create tournament
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default TournamentsPage;
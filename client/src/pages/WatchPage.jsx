@@ -0,0 +1,102 @@
+import { useEffect } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { Loader } from "lucide-react";
+import GameReplay from "../components/GameReplay";
+import MoveList from "../components/MoveList";
+import SpectatorHeader from "../components/SpectatorHeader";
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+import { useGameStore } from "../store/useGameStore";
+import { isGameFinished } from "../lib/utils";
+import { getGameType } from "../lib/gameTypes";
+
+// Shareable, read-only view of a public game
+const WatchPage = () => {
+  const { gameId } = useParams();
+  const { authUser } = useAuthStore();
+  const { setSelectedUser } = useChatStore();
+  const {
+    selectedGame,
+    getGame,
+    replayPly,
+    setReplayPly,
+    isGameDetailsLoading,
+    subscribeToGameEvents,
+    unsubscribeFromGameEvents
+  } = useGameStore();
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    subscribeToGameEvents();
+    return () => unsubscribeFromGameEvents();
+  }, [subscribeToGameEvents, unsubscribeFromGameEvents]);
+
+  // Players following their own link get the real game page
+  useEffect(() => {
+    getGame(gameId).then((game) => {
+      if (!game?.players.some(player => player._id === authUser._id)) return;
+      setSelectedUser(game.players.find(player => player._id !== authUser._id));
+      navigate("/game", { replace: true });
+    });
+  }, [getGame, gameId, authUser, setSelectedUser, navigate]);
+
+  const isLoaded = selectedGame?._id === gameId;
+  useEffect(() => {
+    if (!isLoaded) return;
+    const socket = useAuthStore.getState().socket;
+    socket.emit("joinGame", gameId);
+    return () => socket.emit("leaveGame", gameId);
+  }, [isLoaded, gameId]);
+
+  if (!isLoaded) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        {isGameDetailsLoading
+          ? <Loader className="size-10 animate-spin" />
+          : <p className="text-lg">This game is private or doesn&apos;t exist</p>}
+      </div>
+    );
+  }
+
+  const isFinished = isGameFinished(selectedGame);
+  const { Board } = getGameType(selectedGame.gameType);
+
+  return (
+    <div className="lg:fixed relative inset-0 flex flex-col bg-base-300">
+      <div className="flex-1 container mx-auto pt-16 px-4 pb-4 flex flex-col overflow-hidden">
+        <div className="rounded-t-lg mb-4">
+          <SpectatorHeader />
+        </div>
+
+        <div className="flex min-h-0 flex-1 bg-base-100 rounded-lg shadow-lg">
+          {isFinished ? (
+            <GameReplay game={selectedGame} />
+          ) : (
+            <div className="w-full flex items-center justify-center overflow-hidden p-2">
+              <div className="w-full max-w-[min(100%,calc(100vh-300px))] aspect-square">
+                <Board
+                  position={selectedGame.currentPosition}
+                  lastMove={selectedGame.moves[selectedGame.moves.length - 1]}
+                  variant={selectedGame.variant}
+                  disabled={true}
+                />
+              </div>
+            </div>
+          )}
+
+          <div className="w-48 border-l border-base-300 flex min-h-0">
+            <MoveList
+              moves={selectedGame.moves}
+              initialPosition={selectedGame.initialPosition}
+              currentPly={isFinished ? replayPly ?? selectedGame.moves.length : undefined}
+              onSelectMove={isFinished ? setReplayPly : undefined}
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WatchPage;
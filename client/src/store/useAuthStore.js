@@ -12,6 +12,8 @@ export const useAuthStore = create((set, get) => ({
   isUpdatingProfile: false,
   isCheckingAuth: true,
   onlineUsers: [],
+  ratingData: null, // { ratings, history }
+  isRatingHistoryLoading: false,
   socket: null,
 
   checkAuth: async () => {
@@ -28,6 +30,18 @@ export const useAuthStore = create((set, get) => ({
     }
   },
 
+  getRatingHistory: async () => {
+    set({ isRatingHistoryLoading: true });
+    try {
+      const res = await axiosInstance.get("/auth/rating-history");
+      set({ ratingData: res.data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error fetching ratings");
+    } finally {
+      set({ isRatingHistoryLoading: false });
+    }
+  },
+
   signup: async (data) => {
     set({ isSigningUp: true });
     try {
@@ -86,10 +100,9 @@ export const useAuthStore = create((set, get) => ({
     const { authUser } = get();
     if (!authUser || get().socket?.connected) return;
 
+    // The server reads the user from the auth cookie
     const socket = io(BASE_URL, {
-      query: {
-        userId: authUser._id,
-      },
+      withCredentials: true,
     });
     socket.connect();
 
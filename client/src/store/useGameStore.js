@@ -2,20 +2,37 @@ import { create } from "zustand";
 import toast from "react-hot-toast";
 import { axiosInstance } from "../lib/axios";
 import { useAuthStore } from "./useAuthStore";
+import { RESULT_LABELS } from "../constents";
+
+// Spectators share the game room but get none of the prompts meant for players
+const isPlayerOf = (game) => {
+  const userId = useAuthStore.getState().authUser?._id;
+  return !!game?.players.some(player => (player._id || player) === userId);
+};
 
 export const useGameStore = create((set, get) => ({
   games: [],
   gameInvites: [],
   selectedGame: null,
+  replayPly: null, // Half-moves shown when replaying, null follows the latest move
+  rematchOffer: null, // { gameId, rematchId, offeredBy }
+  seek: null, // { timeControl, rated, ratingRange } while waiting in the matchmaking queue
+  spectatorCount: 0,
+  opponentOffline: null, // { gameId, since, gracePeriod } while the opponent is disconnected
   isGamesLoading: false,
   isInvitesLoading: false,
   isGameDetailsLoading: false,
+  history: { games: [], page: 1, totalPages: 1, total: 0 },
+  isHistoryLoading: false,
 
   getGame: async (gameId) => {
     set({ isGameDetailsLoading: true });
     try {
       const res = await axiosInstance.get(`/game/${gameId}`);
-      set({ selectedGame: res.data });
+      set(state => ({
+        selectedGame: res.data,
+        replayPly: state.selectedGame?._id === gameId ? state.replayPly : null
+      }));
       return res.data;
     } catch (error) {
       toast.error(error.response?.data?.message || "Error fetching game details");
@@ -25,6 +42,17 @@ export const useGameStore = create((set, get) => ({
     }
   },
 
+  // Routes the side to move can play, for game types whose moves take several steps
+  getLegalMoves: async (gameId) => {
+    try {
+      const res = await axiosInstance.get(`/game/${gameId}/moves`);
+      return res.data.moves;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error fetching legal moves");
+      return [];
+    }
+  },
+
   // Get all active games
   getGames: async () => {
     set({ isGamesLoading: true });
@@ -38,10 +66,25 @@ export const useGameStore = create((set, get) => ({
     }
   },
 
-  // Make a move
-  makeMove: async (gameId, from, to) => {
+  // Finished games, filters: { page, opponent, result, from, to, termination }
+  getGameHistory: async (filters = {}) => {
+    set({ isHistoryLoading: true });
     try {
-      const res = await axiosInstance.post(`/game/move/${gameId}`, { from, to });
+      // Drop empty filters so they don't reach the query string
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const res = await axiosInstance.get("/game/history", { params });
+      set({ history: res.data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error fetching game history");
+    } finally {
+      set({ isHistoryLoading: false });
+    }
+  },
+
+  // Make a move, shaped however the game type expects it
+  makeMove: async (gameId, move) => {
+    try {
+      const res = await axiosInstance.post(`/game/move/${gameId}`, move);
       
       // Update local state
       set(state => ({
@@ -57,7 +100,7 @@ export const useGameStore = create((set, get) => ({
       // Emit move with complete game state
       socket.emit("makeMove", {
         gameId,
-        move: { from, to },
+        move,
         game: res.data  // Send the complete populated game
       });
 
@@ -110,6 +153,34 @@ export const useGameStore = create((set, get) => ({
     }
   },
 
+  // Ask to take back the last move
+  requestTakeback: async (gameId) => {
+    try {
+      const res = await axiosInstance.post(`/game/${gameId}/takeback/request`);
+      set(state => ({
+        selectedGame: state.selectedGame?._id === gameId ? res.data : state.selectedGame
+      }));
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error requesting takeback");
+      return null;
+    }
+  },
+
+  // Respond to takeback request
+  respondToTakeback: async (gameId, accept) => {
+    try {
+      const res = await axiosInstance.post(`/game/${gameId}/takeback/respond`, { accept });
+      set(state => ({
+        selectedGame: state.selectedGame?._id === gameId ? res.data : state.selectedGame
+      }));
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error responding to takeback");
+      return null;
+    }
+  },
+
   // Resign game
   resignGame: async (gameId) => {
     try {
@@ -131,6 +202,60 @@ export const useGameStore = create((set, get) => ({
     }
   },
   
+  // End a game the opponent abandoned, outcome is 'win' or 'draw'
+  claimAbandonment: async (gameId, outcome) => {
+    try {
+      const res = await axiosInstance.post(`/game/${gameId}/abandon/claim`, { outcome });
+      set(state => ({
+        games: state.games.filter(game => game._id !== gameId),
+        selectedGame: state.selectedGame?._id === gameId ? res.data : state.selectedGame,
+        opponentOffline: null
+      }));
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error claiming the game");
+      return null;
+    }
+  },
+
+  // Challenge the opponent of a finished game again, colors swapped
+  offerRematch: async (gameId) => {
+    try {
+      const res = await axiosInstance.post(`/game/${gameId}/rematch`);
+      set({
+        rematchOffer: { gameId, rematchId: res.data._id, offeredBy: useAuthStore.getState().authUser?._id }
+      });
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error offering rematch");
+      return null;
+    }
+  },
+
+  // Start a game against the computer, options: { level, color, timeControl }
+  createBotGame: async (options) => {
+    try {
+      const res = await axiosInstance.post("/game/bot", options);
+      set(state => ({ games: [res.data, ...state.games] }));
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error starting game");
+      return null;
+    }
+  },
+
+  // Join the matchmaking queue, the server answers with seekCreated or matchFound
+  createSeek: (options) => {
+    const socket = useAuthStore.getState().socket;
+    socket.emit("createSeek", options);
+  },
+
+  cancelSeek: () => {
+    const socket = useAuthStore.getState().socket;
+    socket.emit("cancelSeek");
+    set({ seek: null });
+  },
+
   // Get game invites
   getGameInvites: async () => {
     set({ isInvitesLoading: true });
@@ -145,9 +270,9 @@ export const useGameStore = create((set, get) => ({
   },
 
   // Send game invite
-  sendGameInvite: async (opponentId) => {
+  sendGameInvite: async (opponentId, options = {}) => {
     try {
-      await axiosInstance.post("/game/invite", { opponentId });
+      await axiosInstance.post("/game/invite", { opponentId, ...options });
       toast.success("Game invite sent!");
     } catch (error) {
       toast.error(error.response?.data?.message || "Error sending invite");
@@ -163,8 +288,10 @@ export const useGameStore = create((set, get) => ({
         gameInvites: state.gameInvites.filter(invite => invite._id !== gameId)
       }));
       toast.success("Game invite accepted!");
+      return res.data;
     } catch (error) {
       toast.error(error.response?.data?.message || "Error accepting invite");
+      return null;
     }
   },
   
@@ -173,7 +300,8 @@ export const useGameStore = create((set, get) => ({
     try {
       await axiosInstance.post(`/game/invite/${gameId}/decline`);
       set(state => ({
-        gameInvites: state.gameInvites.filter(invite => invite._id !== gameId)
+        gameInvites: state.gameInvites.filter(invite => invite._id !== gameId),
+        rematchOffer: state.rematchOffer?.rematchId === gameId ? null : state.rematchOffer
       }));
       toast.success("Game invite declined");
     } catch (error) {
@@ -181,7 +309,41 @@ export const useGameStore = create((set, get) => ({
     }
   },
 
-  setSelectedGame: (selectedGame) => set({ selectedGame }),
+  // Download a game as a .pgn file
+  downloadPgn: async (gameId) => {
+    try {
+      const res = await axiosInstance.get(`/game/${gameId}/pgn`, { responseType: "blob" });
+      const fileName = res.headers["content-disposition"]?.match(/filename="(.+)"/)?.[1] || `${gameId}.pgn`;
+
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error exporting PGN");
+    }
+  },
+
+  // Import a finished game from PGN
+  importPgn: async (data) => {
+    try {
+      const res = await axiosInstance.post("/game/import", data);
+      toast.success("Game imported!");
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error importing PGN");
+      return null;
+    }
+  },
+
+  // Per-game state only resets when switching games, not on every update of the same one
+  setSelectedGame: (selectedGame) => set(state => state.selectedGame?._id === selectedGame?._id
+    ? { selectedGame }
+    : { selectedGame, rematchOffer: null, replayPly: null, spectatorCount: 0, opponentOffline: null }),
+
+  setReplayPly: (replayPly) => set({ replayPly }),
 
   // Socket subscriptions
   subscribeToGameEvents: () => {
@@ -197,42 +359,138 @@ export const useGameStore = create((set, get) => ({
       toast.success("Game invite accepted!");
     });
     
-    socket.on("gameInviteDeclined", (data) => {
-      toast.info("Game invite declined");
+    socket.on("gameInviteDeclined", ({ gameId }) => {
+      set(state => ({
+        rematchOffer: state.rematchOffer?.rematchId === gameId ? null : state.rematchOffer
+      }));
+      toast("Game invite declined");
     });
     
-    socket.on("moveMade", ({ gameId, newPosition }) => {
+    socket.on("seekCreated", (seek) => {
+      set({ seek });
+    });
+
+    socket.on("seekCancelled", () => {
+      set({ seek: null });
+    });
+
+    socket.on("matchFound", () => {
+      set({ seek: null });
+    });
+
+    socket.on("seekError", ({ message }) => {
+      set({ seek: null });
+      toast.error(message);
+    });
+
+    socket.on("moveMade", ({ gameId, game: updatedGame }) => {
+      if (!updatedGame) return;
       set(state => ({
         games: state.games.map(game => 
           game._id === gameId 
-            ? { ...game, currentPosition: newPosition }
+            ? updatedGame
             : game
         ),
         selectedGame: state.selectedGame?._id === gameId 
-          ? { ...state.selectedGame, currentPosition: newPosition }
+          ? updatedGame
           : state.selectedGame
       }));
     });
     
     socket.on("gameResigned", ({ gameId }) => {
       get().getGame(gameId); // Refresh game state
-      toast.info("Opponent resigned the game");
+      toast(isPlayerOf(get().selectedGame) ? "Opponent resigned the game" : "Game over: Resignation");
+    });
+
+    socket.on("playerDisconnected", ({ gameId, userId, since, gracePeriod }) => {
+      const { selectedGame } = get();
+      if (selectedGame?._id !== gameId || !isPlayerOf(selectedGame)) return;
+      if (userId === useAuthStore.getState().authUser?._id) return;
+      set({ opponentOffline: { gameId, since, gracePeriod } });
+    });
+
+    socket.on("playerReconnected", ({ gameId }) => {
+      if (get().opponentOffline?.gameId !== gameId) return;
+      set({ opponentOffline: null });
+      toast("Opponent reconnected");
+    });
+
+    socket.on("gameOver", ({ gameId, result }) => {
+      get().getGame(gameId); // Refresh game state
+      toast(`Game over: ${RESULT_LABELS[result]}`);
+    });
+
+    socket.on("gameTimeout", ({ gameId, winner }) => {
+      // Correspondence timeouts also reach players who aren't looking at the game
+      set(state => ({ games: state.games.filter(game => game._id !== gameId) }));
+      if (get().selectedGame?._id === gameId) get().getGame(gameId); // Refresh game state
+      if (!isPlayerOf(get().selectedGame)) return toast(`Game over: ${RESULT_LABELS.timeout}`);
+      const isWinner = winner === useAuthStore.getState().authUser?._id;
+      toast(isWinner ? "Opponent ran out of time" : "You ran out of time");
     });
 
     socket.on("drawOffered", ({ gameId }) => {
       get().getGame(gameId); // Refresh game state
-      toast.info("Draw offered by opponent");
+      if (isPlayerOf(get().selectedGame)) toast("Draw offered by opponent");
     });
 
     socket.on("drawResponseReceived", ({ gameId, accepted }) => {
       get().getGame(gameId); // Refresh game state
-      toast.info(accepted ? "Draw accepted" : "Draw declined");
+      if (isPlayerOf(get().selectedGame)) toast(accepted ? "Draw accepted" : "Draw declined");
+    });
+
+    socket.on("takebackRequested", ({ gameId, requestedBy }) => {
+      if (requestedBy === useAuthStore.getState().authUser?._id) return;
+      get().getGame(gameId); // Refresh game state
+      if (isPlayerOf(get().selectedGame)) toast("Opponent asks to take back their move");
+    });
+
+    socket.on("takebackResponseReceived", ({ gameId, accepted, respondedBy }) => {
+      if (respondedBy === useAuthStore.getState().authUser?._id) return;
+      get().getGame(gameId); // Refresh game state
+      if (isPlayerOf(get().selectedGame)) toast(accepted ? "Takeback accepted" : "Takeback declined");
+    });
+
+    socket.on("spectatorCount", ({ gameId, count }) => {
+      if (get().selectedGame?._id === gameId) set({ spectatorCount: count });
+    });
+
+    // Tournament games are created by the server, so they show up without an invite
+    socket.on("tournamentRoundStarted", ({ round }) => {
+      get().getGames();
+      toast(`Tournament round ${round} has started`);
+    });
+
+    socket.on("simulStarted", () => {
+      get().getGames();
+      toast("A simul you're in has started");
+    });
+
+    socket.on("joinGameError", ({ message }) => {
+      toast.error(message);
+    });
+
+    socket.on("rematchOffered", ({ gameId, rematchId, offeredBy }) => {
+      if (get().selectedGame?._id !== gameId || !isPlayerOf(get().selectedGame)) return;
+      set({ rematchOffer: { gameId, rematchId, offeredBy } });
+      if (offeredBy !== useAuthStore.getState().authUser?._id) {
+        toast("Opponent wants a rematch");
+      }
+    });
+
+    // Whoever accepted, both players move on to the new game
+    socket.on("rematchAccepted", async ({ gameId, rematchId }) => {
+      if (get().selectedGame?._id !== gameId || !isPlayerOf(get().selectedGame)) return;
+      const rematch = await get().getGame(rematchId);
+      if (rematch) {
+        set(state => ({
+          rematchOffer: null,
+          games: state.games.some(game => game._id === rematchId) ? state.games : [rematch, ...state.games],
+          gameInvites: state.gameInvites.filter(invite => invite._id !== rematchId)
+        }));
+      }
     });
 
-    // Join game room when game is selected
-    if (get().selectedGame?._id) {
-      socket.emit("joinGame", get().selectedGame._id);
-    }
   },
 
   unsubscribeFromGameEvents: () => {
@@ -240,14 +498,25 @@ export const useGameStore = create((set, get) => ({
     socket.off("gameInvite");
     socket.off("gameInviteAccepted");
     socket.off("gameInviteDeclined");
+    socket.off("seekCreated");
+    socket.off("seekCancelled");
+    socket.off("seekError");
+    socket.off("matchFound");
     socket.off("moveMade");
     socket.off("gameResigned");
+    socket.off("gameTimeout");
+    socket.off("playerDisconnected");
+    socket.off("playerReconnected");
+    socket.off("gameOver");
     socket.off("drawOffered");
     socket.off("drawResponseReceived");
-
-    // Leave game room if there was a selected game
-    if (get().selectedGame?._id) {
-      socket.emit("leaveGame", get().selectedGame._id);
-    }
+    socket.off("takebackRequested");
+    socket.off("takebackResponseReceived");
+    socket.off("rematchOffered");
+    socket.off("rematchAccepted");
+    socket.off("spectatorCount");
+    socket.off("joinGameError");
+    socket.off("tournamentRoundStarted");
+    socket.off("simulStarted");
   },
 }));
\ No newline at end of file
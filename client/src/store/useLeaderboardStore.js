@@ -0,0 +1,21 @@
+import { create } from "zustand";
+import toast from "react-hot-toast";
+import { axiosInstance } from "../lib/axios";
+
+export const useLeaderboardStore = create((set) => ({
+  leaderboard: { players: [], page: 1, totalPages: 1, total: 0 },
+  isLeaderboardLoading: false,
+
+  // params: { category, sort, minGames, page }
+  getLeaderboard: async (params) => {
+    set({ isLeaderboardLoading: true });
+    try {
+      const res = await axiosInstance.get("/leaderboard", { params });
+      set({ leaderboard: res.data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error fetching leaderboard");
+    } finally {
+      set({ isLeaderboardLoading: false });
+    }
+  },
+}));
@@ -0,0 +1,163 @@
+import { create } from "zustand";
+import toast from "react-hot-toast";
+import { axiosInstance } from "../lib/axios";
+import { useAuthStore } from "./useAuthStore";
+import { useGameStore } from "./useGameStore";
+
+// Simuls need every board at once, so the host plays from here rather
+// than from the single selectedGame in useGameStore
+export const useSimulStore = create((set, get) => ({
+  simuls: [],
+  // Open simul: { simul, games }, the games are the host's boards
+  simulDetails: null,
+  activeBoardId: null,
+  isSimulsLoading: false,
+  isSimulLoading: false,
+
+  getSimuls: async () => {
+    set({ isSimulsLoading: true });
+    try {
+      const res = await axiosInstance.get("/simuls");
+      set({ simuls: res.data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error fetching simuls");
+    } finally {
+      set({ isSimulsLoading: false });
+    }
+  },
+
+  getSimul: async (simulId) => {
+    set({ isSimulLoading: true });
+    try {
+      const res = await axiosInstance.get(`/simuls/${simulId}`);
+      get().setSimulDetails(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error fetching simul");
+    } finally {
+      set({ isSimulLoading: false });
+    }
+  },
+
+  // data: { name, hostColor, timeControl }
+  createSimul: async (data) => {
+    try {
+      const res = await axiosInstance.post("/simuls", data);
+      set(state => ({ simuls: [res.data, ...state.simuls] }));
+      toast.success("Simul created");
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error creating simul");
+      return null;
+    }
+  },
+
+  joinSimul: async (simulId) => {
+    try {
+      const res = await axiosInstance.post(`/simuls/${simulId}/join`);
+      get().setSimulDetails(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error joining simul");
+    }
+  },
+
+  leaveSimul: async (simulId) => {
+    try {
+      const res = await axiosInstance.post(`/simuls/${simulId}/leave`);
+      get().setSimulDetails(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error leaving simul");
+    }
+  },
+
+  startSimul: async (simulId) => {
+    try {
+      const res = await axiosInstance.post(`/simuls/${simulId}/start`);
+      get().setSimulDetails(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error starting simul");
+    }
+  },
+
+  // Keeps the active board while it's still one of the simul's games
+  setSimulDetails: (simulDetails) => set(state => ({
+    simulDetails,
+    activeBoardId: simulDetails.games.some(game => game._id === state.activeBoardId)
+      ? state.activeBoardId
+      : simulDetails.games.find(game => game.status === "active")?._id ?? simulDetails.games[0]?._id ?? null
+  })),
+
+  setActiveBoard: (activeBoardId) => set({ activeBoardId }),
+
+  // Games that aren't boards of the open simul are ignored
+  updateBoard: (updatedGame) => set(state => ({
+    simulDetails: state.simulDetails && {
+      ...state.simulDetails,
+      games: state.simulDetails.games.map(game => game._id === updatedGame._id ? updatedGame : game)
+    }
+  })),
+
+  // Moves on to the next board waiting for the host, or else the next one still being played
+  focusNextBoard: () => {
+    const { simulDetails, activeBoardId } = get();
+    const hostId = useAuthStore.getState().authUser?._id;
+    const boards = simulDetails?.games || [];
+    const index = boards.findIndex(game => game._id === activeBoardId);
+    const following = [...boards.slice(index + 1), ...boards.slice(0, index + 1)];
+
+    const next = following.find(game => game.status === "active" && game.turn?._id === hostId)
+      || following.find(game => game.status === "active");
+    if (next) set({ activeBoardId: next._id });
+  },
+
+  playBoardMove: async (gameId, move) => {
+    const game = await useGameStore.getState().makeMove(gameId, move);
+    if (!game) return null;
+
+    get().updateBoard(game);
+    get().focusNextBoard();
+    return game;
+  },
+
+  // Socket subscriptions, the host's page joins every board's game room
+  subscribeToBoards: () => {
+    const socket = useAuthStore.getState().socket;
+
+    const isBoard = (gameId) => get().simulDetails?.games.some(game => game._id === gameId);
+
+    // Resignations, flags and agreed draws don't send the game, so it's fetched again
+    const refreshBoard = async ({ gameId }) => {
+      if (!isBoard(gameId)) return;
+      try {
+        const res = await axiosInstance.get(`/game/${gameId}`);
+        get().updateBoard(res.data);
+      } catch (error) {
+        console.log("Error refreshing board", error.message);
+      }
+    };
+
+    socket.on("moveMade", ({ gameId, game }) => {
+      if (isBoard(gameId)) get().updateBoard(game);
+    });
+
+    socket.on("gameOver", refreshBoard);
+    socket.on("gameResigned", refreshBoard);
+    socket.on("gameTimeout", refreshBoard);
+    socket.on("drawOfferResponse", ({ gameId, accepted }) => {
+      if (accepted) refreshBoard({ gameId });
+    });
+
+    socket.on("simulFinished", ({ simulId }) => {
+      if (get().simulDetails?.simul._id === simulId) get().getSimul(simulId);
+    });
+  },
+
+  unsubscribeFromBoards: () => {
+    const socket = useAuthStore.getState().socket;
+    socket.off("moveMade");
+    socket.off("gameOver");
+    socket.off("gameResigned");
+    socket.off("gameTimeout");
+    socket.off("drawOfferResponse");
+    socket.off("simulFinished");
+  },
+}));
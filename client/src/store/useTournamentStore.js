@@ -0,0 +1,58 @@
+import { create } from "zustand";
+import toast from "react-hot-toast";
+import { axiosInstance } from "../lib/axios";
+
+export const useTournamentStore = create((set) => ({
+  tournaments: [],
+  // Open tournament: { tournament, standings, games }
+  tournamentDetails: null,
+  isTournamentsLoading: false,
+  isTournamentLoading: false,
+
+  getTournaments: async () => {
+    set({ isTournamentsLoading: true });
+    try {
+      const res = await axiosInstance.get("/tournaments");
+      set({ tournaments: res.data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error fetching tournaments");
+    } finally {
+      set({ isTournamentsLoading: false });
+    }
+  },
+
+  getTournament: async (tournamentId) => {
+    set({ isTournamentLoading: true });
+    try {
+      const res = await axiosInstance.get(`/tournaments/${tournamentId}`);
+      set({ tournamentDetails: res.data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error fetching tournament");
+    } finally {
+      set({ isTournamentLoading: false });
+    }
+  },
+
+  // data: { name, format, timeControl, rated, participants, rounds }
+  createTournament: async (data) => {
+    try {
+      const res = await axiosInstance.post("/tournaments", data);
+      set(state => ({ tournaments: [res.data, ...state.tournaments] }));
+      toast.success("Tournament created");
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error creating tournament");
+      return null;
+    }
+  },
+
+  startTournament: async (tournamentId) => {
+    try {
+      const res = await axiosInstance.post(`/tournaments/${tournamentId}/start`);
+      set({ tournamentDetails: res.data });
+      toast.success("Round 1 has started");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Error starting tournament");
+    }
+  },
+}));
@@ -116,4 +116,13 @@ export const checkAuth = (req,res) => {
     } catch (error) {
       return sendInternalError(error, res, "checkAuth");
     }
-};
\ No newline at end of file
+};
+
+export const getRatingHistory = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select("ratings ratingHistory");
+        return res.status(200).json({ ratings: user.ratings, history: user.ratingHistory });
+    } catch (error) {
+      return sendInternalError(error, res, "getRatingHistory");
+    }
+};
@@ -1,113 +1,85 @@
-import Game from "../models/game.model.js";
+import mongoose from "mongoose";
+import Game, { populateGame } from "../models/game.model.js";
+import User from "../models/user.model.js";
 import { sendInternalError } from "../lib/utils.js";
-import { getReceiverSocketId, io } from "../lib/socket.js";
-import { Chess } from 'chess.js';
+import { getReceiverSocketId, getOfflineSince, getDisconnectGracePeriod, io } from "../lib/socket.js";
+import { buildPgn, parsePgn, getImportedResult, DERIVED_TAGS } from "../lib/pgn.js";
+import { endGame } from "../lib/outcome.js";
+import { getTimeControl, getSideToMove, isTimed, startClock, scheduleFlag, updateDeadline } from "../lib/clock.js";
+import { getPlayerColor, getPlayerByColor, assignColors } from "../lib/players.js";
+import { playMove } from "../lib/moves.js";
+import { getBotUser, scheduleBotMove } from "../lib/bot.js";
+import { BOT_LEVELS } from "../lib/engine.js";
+import { getGameType } from "../lib/gameTypes/index.js";
 
 export const makeMove = async (req, res) => {
     try {
         const { gameId } = req.params;
-        const { from, to } = req.body;
         const userId = req.user._id;
 
-        // Find the game
-        const game = await Game.findById(gameId)
-            .populate('players', 'userName profilePic') // Add fields you need
-            .populate('turn', 'userName')
-            .populate('winner', 'userName')
-            .populate('invitedBy', 'userName');
-        if (!game) {
-            return res.status(404).json({ message: "Game not found" });
+        const { error, game } = await playMove(gameId, userId, req.body);
+        if (error) {
+            return res.status(error.status).json({ message: error.message });
         }
 
-        // Verify it's the user's turn
-        if (game.turn._id.toString() !== userId.toString()) {
-            return res.status(403).json({ message: "Not your turn" });
-        }
+        // Against the computer, its reply follows right away
+        scheduleBotMove(game);
 
-        // Create chess instance with current position
-        const chess = new Chess(game.currentPosition);
+        return res.status(200).json(game);
+    } catch (error) {
+        return sendInternalError(error, res, "makeMove");
+    }
+};
 
-        // Verify correct color is moving
-        const isWhite = game.invitedBy._id.toString() === userId.toString();
-        if ((isWhite && chess.turn() !== 'w') || (!isWhite && chess.turn() !== 'b')) {
-            return res.status(403).json({ message: "Wrong color piece" });
-        }
+export const getGame = async (req, res) => {
+    try {
+        const { gameId } = req.params;
+        const userId = req.user._id;
 
-        // Attempt to make the move
-        try {
-            chess.move({ from, to });
-        } catch (error) {
-            return res.status(400).json({ message: "Invalid move" });
-        }
+        const game = await populateGame(Game.findById(gameId));
 
-        // Update game state
-        game.currentPosition = chess.fen();
-        
-        // Check if game is over
-        if (chess.isGameOver()) {
-            game.status = 'completed';
-            if (chess.isCheckmate()) {
-                game.result = 'checkmate';
-                game.winner = game.turn;
-            }
+        if (!game) {
+            return res.status(404).json({ message: "Game not found" });
         }
 
-        // Switch turns to the other player
-        game.turn = game.players.find(player => 
-            player._id.toString() !== userId.toString()
-        );
-
-
-        await game.save();
-
-        // After saving, fetch the updated and populated game
-        const updatedGame = await Game.findById(gameId)
-            .populate('players', 'userName profilePic')
-            .populate('turn', 'userName')
-            .populate('winner', 'userName')
-            .populate('invitedBy', 'userName');
-
-        // Notify other player through socket
-        io.to(`game:${gameId}`).emit("moveMade", {
-            gameId,
-            from,
-            to,
-            fen: game.currentPosition,
-            turn: game.turn,
-            isGameOver: chess.isGameOver(),
-            isCheckmate: chess.isCheckmate(),
-            game: updatedGame
-        });
+        // Public games are open to spectators
+        const isPlayer = game.players.some(player => player._id.toString() === userId.toString());
+        if (!isPlayer && game.isPrivate) {
+            return res.status(403).json({ message: "This game is private" });
+        }
 
         return res.status(200).json(game);
     } catch (error) {
-        return sendInternalError(error, res, "makeMove");
+        return sendInternalError(error, res, "getGame");
     }
 };
 
-export const getGame = async (req, res) => {
+// Routes the side to move can play, for boards that build a move in several steps
+export const getLegalMoves = async (req, res) => {
     try {
         const { gameId } = req.params;
         const userId = req.user._id;
 
-        const game = await Game.findById(gameId)
-            .populate('players', 'userName profilePic') // Populate player usernames
-            .populate('winner', 'userName')
-            .populate('turn', 'userName')
-            .populate('invitedBy', 'userName');
+        const game = await Game.findById(gameId);
 
         if (!game) {
             return res.status(404).json({ message: "Game not found" });
         }
 
-        // Verify user is a player in this game
-        if (!game.players.some(player => player._id.toString() === userId.toString())) {
-            return res.status(403).json({ message: "Not authorized to view this game" });
+        const isPlayer = game.players.some(player => player.toString() === userId.toString());
+        if (!isPlayer && game.isPrivate) {
+            return res.status(403).json({ message: "This game is private" });
         }
 
-        return res.status(200).json(game);
+        const gameType = getGameType(game.gameType);
+        if (!gameType.getLegalMoves) {
+            return res.status(400).json({ message: "Legal moves aren't available for this game" });
+        }
+
+        const moves = game.status === 'active' ? gameType.getLegalMoves(game) : [];
+        return res.status(200).json({ moves });
     } catch (error) {
-        return sendInternalError(error, res, "getGame");
+        return sendInternalError(error, res, "getLegalMoves");
     }
 };
 
@@ -115,14 +87,10 @@ export const getGames = async (req, res) => {
     try {
         const userId = req.user._id;
         
-        const games = await Game.find({ 
+        const games = await populateGame(Game.find({ 
             players: userId,
             status: { $in: ['active', 'pending'] } // Only get active and pending games by default
-        })
-            .populate('players', 'userName profilePic')
-            .populate('winner', 'userName')
-            .populate('turn', 'userName')
-            .populate('invitedBy', 'userName')
+        }))
             .sort({ updatedAt: -1 }); // Most recent games first
 
         return res.status(200).json(games);
@@ -131,6 +99,75 @@ export const getGames = async (req, res) => {
     }
 };
 
+const HISTORY_PAGE_SIZE = 20;
+const FINISHED_STATUSES = ['completed', 'drawn', 'resigned'];
+
+// Finished games, most recent first. Query: page, limit, opponent, result
+// (won/lost/drawn, from the user's side), from/to (YYYY-MM-DD) and termination
+export const getGameHistory = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { opponent, result, from, to, termination } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || HISTORY_PAGE_SIZE, 1), 100);
+
+        const filter = { players: userId, status: { $in: FINISHED_STATUSES } };
+
+        if (opponent) {
+            if (!mongoose.isValidObjectId(opponent)) {
+                return res.status(400).json({ message: "Invalid opponent" });
+            }
+            filter.players = { $all: [userId, opponent] };
+        }
+
+        if (result === 'won') {
+            filter.winner = userId;
+        } else if (result === 'lost') {
+            filter.winner = { $exists: true, $nin: [null, userId] };
+        } else if (result === 'drawn') {
+            filter.status = 'drawn';
+        } else if (result) {
+            return res.status(400).json({ message: "Invalid result filter" });
+        }
+
+        if (termination) {
+            if (!Game.schema.path('result').enumValues.includes(termination)) {
+                return res.status(400).json({ message: "Invalid termination" });
+            }
+            filter.result = termination;
+        }
+
+        if (from || to) {
+            const fromDate = from && new Date(from);
+            const toDate = to && new Date(to);
+            if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+                return res.status(400).json({ message: "Invalid date range" });
+            }
+            filter.updatedAt = {};
+            if (fromDate) filter.updatedAt.$gte = fromDate;
+            // Include the whole "to" day
+            if (toDate) filter.updatedAt.$lt = new Date(toDate.getTime() + 24 * 60 * 60 * 1000);
+        }
+
+        const [games, total] = await Promise.all([
+            populateGame(Game.find(filter))
+                .sort({ updatedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Game.countDocuments(filter)
+        ]);
+
+        return res.status(200).json({
+            games,
+            page,
+            totalPages: Math.max(Math.ceil(total / limit), 1),
+            total
+        });
+    } catch (error) {
+        return sendInternalError(error, res, "getGameHistory");
+    }
+};
+
 export const offerDraw = async (req, res) => {
     try {
         const { gameId } = req.params;
@@ -184,8 +221,17 @@ export const respondToDrawOffer = async (req, res) => {
             return res.status(404).json({ message: "Game not found" });
         }
 
+        // Verify user is a player in this game
+        if (!getPlayerColor(game, userId)) {
+            return res.status(403).json({ message: "Not authorized" });
+        }
+
+        if (game.status !== 'active') {
+            return res.status(400).json({ message: "Game is not active" });
+        }
+
         // Verify there's an active draw offer
-        if (!game.drawOffer) {
+        if (!game.drawOffer?.by) {
             return res.status(400).json({ message: "No active draw offer" });
         }
 
@@ -195,8 +241,7 @@ export const respondToDrawOffer = async (req, res) => {
         }
 
         if (accept) {
-            game.status = 'drawn';
-            game.result = 'draw';
+            await endGame(game, { status: 'drawn', result: 'draw' });
         }
         
         // Clear draw offer regardless of response
@@ -216,6 +261,117 @@ export const respondToDrawOffer = async (req, res) => {
     }
 };
 
+export const requestTakeback = async (req, res) => {
+    try {
+        const { gameId } = req.params;
+        const userId = req.user._id;
+
+        const game = await Game.findById(gameId);
+        if (!game) {
+            return res.status(404).json({ message: "Game not found" });
+        }
+
+        // Verify user is a player in this game
+        if (!game.players.some(player => player._id.toString() === userId.toString())) {
+            return res.status(403).json({ message: "Not authorized" });
+        }
+
+        if (game.status !== 'active') {
+            return res.status(400).json({ message: "Game is not active" });
+        }
+
+        // Need a move of your own to take back
+        if (!game.moves.some(move => move.by?.toString() === userId.toString())) {
+            return res.status(400).json({ message: "No move to take back" });
+        }
+
+        if (game.takebackRequest?.by) {
+            return res.status(400).json({ message: "A takeback is already pending" });
+        }
+
+        game.takebackRequest = {
+            by: userId,
+            requestedAt: new Date()
+        };
+        await game.save();
+
+        io.to(`game:${gameId}`).emit("takebackRequested", {
+            gameId,
+            requestedBy: userId
+        });
+
+        const updatedGame = await populateGame(Game.findById(gameId));
+        return res.status(200).json(updatedGame);
+    } catch (error) {
+        return sendInternalError(error, res, "requestTakeback");
+    }
+};
+
+export const respondToTakeback = async (req, res) => {
+    try {
+        const { gameId } = req.params;
+        const { accept } = req.body;
+        const userId = req.user._id;
+
+        const game = await Game.findById(gameId);
+        if (!game) {
+            return res.status(404).json({ message: "Game not found" });
+        }
+
+        // Verify user is a player in this game
+        if (!getPlayerColor(game, userId)) {
+            return res.status(403).json({ message: "Not authorized" });
+        }
+
+        if (game.status !== 'active') {
+            return res.status(400).json({ message: "Game is not active" });
+        }
+
+        // Verify there's a pending takeback request
+        if (!game.takebackRequest?.by) {
+            return res.status(400).json({ message: "No pending takeback request" });
+        }
+
+        // Verify user is the one receiving the request
+        const requesterId = game.takebackRequest.by.toString();
+        if (requesterId === userId.toString()) {
+            return res.status(403).json({ message: "Cannot respond to your own takeback request" });
+        }
+
+        if (accept) {
+            // Undo the requester's last move, and the reply to it if there was one
+            const lastOwnMove = game.moves.map(move => move.by?.toString()).lastIndexOf(requesterId);
+            game.moves.splice(lastOwnMove);
+            game.currentPosition = lastOwnMove > 0
+                ? game.moves[lastOwnMove - 1].fen
+                : game.initialPosition;
+            game.turn = game.takebackRequest.by;
+
+            // The requester's clock starts running again from now
+            if (isTimed(game)) {
+                game.clock.lastMoveAt = new Date();
+                updateDeadline(game);
+            }
+        }
+
+        // Clear takeback request regardless of response
+        game.takebackRequest = undefined;
+        await game.save();
+        scheduleFlag(game);
+
+        io.to(`game:${gameId}`).emit("takebackResponseReceived", {
+            gameId,
+            accepted: !!accept,
+            respondedBy: userId
+        });
+
+        const updatedGame = await populateGame(Game.findById(gameId));
+        return res.status(200).json(updatedGame);
+    } catch (error) {
+        return sendInternalError(error, res, "respondToTakeback");
+    }
+};
+
 export const resign = async (req, res) => {
     try {
         const { gameId } = req.params;
@@ -237,11 +393,13 @@ export const resign = async (req, res) => {
         }
 
         // Set game as resigned and declare other player as winner
-        game.status = 'resigned';
-        game.result = 'resignation';
-        game.winner = game.players.find(playerId => 
-            playerId.toString() !== userId.toString()
-        );
+        await endGame(game, {
+            status: 'resigned',
+            result: 'resignation',
+            winner: game.players.find(playerId => 
+                playerId.toString() !== userId.toString()
+            )
+        });
         await game.save();
 
         // Notify players through socket
@@ -257,16 +415,185 @@ export const resign = async (req, res) => {
     }
 };
 
+// Lets the remaining player end a live game once the opponent has been gone
+// for the grace period. body: { outcome: 'win' | 'draw' }
+export const claimAbandonment = async (req, res) => {
+    try {
+        const { gameId } = req.params;
+        const { outcome } = req.body;
+        const userId = req.user._id;
+
+        if (!['win', 'draw'].includes(outcome)) {
+            return res.status(400).json({ message: "Claim a win or a draw" });
+        }
+
+        const game = await Game.findById(gameId);
+        if (!game) {
+            return res.status(404).json({ message: "Game not found" });
+        }
+
+        if (!getPlayerColor(game, userId)) {
+            return res.status(403).json({ message: "Not authorized" });
+        }
+
+        if (game.status !== 'active') {
+            return res.status(400).json({ message: "Game is not active" });
+        }
+
+        if (game.timeControl?.category === 'correspondence') {
+            return res.status(400).json({ message: "Correspondence games end by move deadline" });
+        }
+
+        const opponentId = game.players.find(playerId => playerId.toString() !== userId.toString());
+        const opponent = await User.findById(opponentId).select('isBot');
+        const offlineSince = getOfflineSince(opponentId.toString());
+        if (opponent?.isBot || offlineSince == null) {
+            return res.status(400).json({ message: "Your opponent is still connected" });
+        }
+        if (Date.now() - offlineSince < getDisconnectGracePeriod()) {
+            return res.status(400).json({ message: "Give your opponent a little longer to come back" });
+        }
+
+        await endGame(game, outcome === 'win'
+            ? { status: 'completed', result: 'abandonment', winner: userId }
+            : { status: 'drawn', result: 'abandonment' });
+        await game.save();
+
+        io.to(`game:${gameId}`).emit("gameOver", {
+            gameId,
+            status: game.status,
+            result: game.result,
+            winner: game.winner
+        });
+
+        const updatedGame = await populateGame(Game.findById(gameId));
+        return res.status(200).json(updatedGame);
+    } catch (error) {
+        return sendInternalError(error, res, "claimAbandonment");
+    }
+};
+
+export const offerRematch = async (req, res) => {
+    try {
+        const { gameId } = req.params;
+        const userId = req.user._id;
+
+        const game = await Game.findById(gameId);
+        if (!game) {
+            return res.status(404).json({ message: "Game not found" });
+        }
+
+        // Verify user is a player in this game
+        const color = getPlayerColor(game, userId);
+        if (!color) {
+            return res.status(403).json({ message: "Not authorized" });
+        }
+
+        if (!['completed', 'drawn', 'resigned'].includes(game.status)) {
+            return res.status(400).json({ message: "Game is not finished" });
+        }
+
+        const pendingRematch = await Game.findOne({ rematchOf: gameId, status: 'invited' });
+        if (pendingRematch) {
+            return res.status(400).json({ message: "A rematch is already pending" });
+        }
+
+        const opponentId = game.players.find(playerId => playerId.toString() !== userId.toString());
+
+        // Same settings, colors swapped
+        const rematch = new Game({
+            players: [userId, opponentId],
+            status: 'invited',
+            invitedBy: userId,
+            white: color === 'white' ? opponentId : userId,
+            black: color === 'white' ? userId : opponentId,
+            gameType: game.gameType,
+            variant: game.variant,
+            initialPosition: game.initialPosition,
+            currentPosition: game.initialPosition,
+            timeControl: game.timeControl,
+            rated: game.rated,
+            isPrivate: game.isPrivate,
+            rematchOf: game._id
+        });
+        await rematch.save();
+
+        io.to(getReceiverSocketId(opponentId)).emit("gameInvite", {
+            gameId: rematch._id,
+            invitedBy: userId
+        });
+        io.to(`game:${gameId}`).emit("rematchOffered", {
+            gameId,
+            rematchId: rematch._id,
+            offeredBy: userId
+        });
+
+        return res.status(201).json(rematch);
+    } catch (error) {
+        return sendInternalError(error, res, "offerRematch");
+    }
+};
+
 export const sendGameInvite = async (req, res) => {
     try {
-        const { opponentId } = req.body;
+        const {
+            opponentId,
+            timeControl: timeControlId,
+            color = 'random',
+            gameType: gameTypeId = 'chess',
+            variant = 'standard',
+            fen,
+            rated = false,
+            isPrivate = false
+        } = req.body;
         const userId = req.user._id;
 
+        const timeControl = getTimeControl(timeControlId);
+        if (!timeControl) {
+            return res.status(400).json({ message: "Invalid time control" });
+        }
+
+        if (!['white', 'black', 'random'].includes(color)) {
+            return res.status(400).json({ message: "Color must be white, black or random" });
+        }
+
+        const gameType = getGameType(gameTypeId);
+        if (!gameType) {
+            return res.status(400).json({ message: "Unknown game type" });
+        }
+        if (!gameType.variants.includes(variant)) {
+            return res.status(400).json({ message: "Invalid variant" });
+        }
+        if (rated && !gameType.rated) {
+            return res.status(400).json({ message: `${gameType.label} games can't be rated` });
+        }
+        if (rated && fen) {
+            return res.status(400).json({ message: "Rated games start from the standard position" });
+        }
+        // Ratings are a single pool, so only standard games count towards it
+        if (rated && variant !== 'standard') {
+            return res.status(400).json({ message: "Only standard games can be rated" });
+        }
+
+        // The game type sets up the board, from the optional custom position if it allows one
+        const { position, error } = gameType.createInitialPosition({ variant, fen });
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
         // Create new game with invited status
         const game = new Game({
             players: [userId, opponentId],
             status: 'invited',
-            invitedBy: userId
+            invitedBy: userId,
+            ...assignColors(userId, opponentId, color),
+            gameType: gameType.id,
+            variant,
+            initialPosition: position,
+            currentPosition: position,
+            timeControl,
+            rated: !!rated,
+            isPrivate: !!isPrivate
         });
 
         await game.save();
@@ -283,6 +610,50 @@ export const sendGameInvite = async (req, res) => {
     }
 };
 
+// Starts a casual game against the computer, no invite needed
+export const createBotGame = async (req, res) => {
+    try {
+        const { level = 2, color = 'random', timeControl: timeControlId } = req.body;
+        const userId = req.user._id;
+
+        if (!BOT_LEVELS[level]) {
+            return res.status(400).json({ message: "Invalid bot level" });
+        }
+
+        const timeControl = getTimeControl(timeControlId);
+        if (!timeControl) {
+            return res.status(400).json({ message: "Invalid time control" });
+        }
+
+        if (!['white', 'black', 'random'].includes(color)) {
+            return res.status(400).json({ message: "Color must be white, black or random" });
+        }
+
+        const bot = await getBotUser();
+        const { white, black } = assignColors(userId, bot._id, color);
+
+        const game = new Game({
+            players: [userId, bot._id],
+            status: 'active',
+            invitedBy: userId,
+            white,
+            black,
+            turn: white,
+            timeControl,
+            botLevel: Number(level)
+        });
+        startClock(game);
+        await game.save();
+        scheduleFlag(game);
+        scheduleBotMove(game);
+
+        const createdGame = await populateGame(Game.findById(game._id));
+        return res.status(201).json(createdGame);
+    } catch (error) {
+        return sendInternalError(error, res, "createBotGame");
+    }
+};
+
 export const acceptGameInvite = async (req, res) => {
     try {
         const { gameId } = req.params;
@@ -298,10 +669,17 @@ export const acceptGameInvite = async (req, res) => {
             return res.status(403).json({ message: "Not authorized" });
         }
 
+        if (game.status !== 'invited') {
+            return res.status(400).json({ message: "Invite is no longer pending" });
+        }
+
         // Update game status and set initial turn
         game.status = 'active';
-        game.turn = game.invitedBy; // First player (inviter) starts
+        // Whoever has the side to move in the starting position begins
+        game.turn = getPlayerByColor(game, getSideToMove(game));
+        startClock(game);
         await game.save();
+        scheduleFlag(game);
 
         // Notify original inviter through socket
         io.to(getReceiverSocketId(game.invitedBy)).emit("gameInviteAccepted", {
@@ -309,7 +687,16 @@ export const acceptGameInvite = async (req, res) => {
             acceptedBy: userId
         });
 
-        return res.status(200).json(game);
+        // Both players are still looking at the finished game, move them over
+        if (game.rematchOf) {
+            io.to(`game:${game.rematchOf}`).emit("rematchAccepted", {
+                gameId: game.rematchOf,
+                rematchId: game._id
+            });
+        }
+
+        const acceptedGame = await populateGame(Game.findById(game._id));
+        return res.status(200).json(acceptedGame);
     } catch (error) {
         return sendInternalError(error, res, "acceptGameInvite");
     }
@@ -361,3 +748,128 @@ export const getGameInvites = async (req, res) => {
         return sendInternalError(error, res, "getGameInvites");
     }
 };
+
+export const exportPgn = async (req, res) => {
+    try {
+        const { gameId } = req.params;
+        const userId = req.user._id;
+
+        const game = await Game.findById(gameId)
+            .populate('players', 'userName')
+            .populate('winner', 'userName')
+            .populate('invitedBy', 'userName')
+            .populate('tournament', 'name');
+
+        if (!game) {
+            return res.status(404).json({ message: "Game not found" });
+        }
+
+        // Verify user is a player in this game
+        if (!game.players.some(player => player._id.toString() === userId.toString())) {
+            return res.status(403).json({ message: "Not authorized to view this game" });
+        }
+
+        if (game.gameType !== 'chess') {
+            return res.status(400).json({ message: "PGN is only available for chess games" });
+        }
+
+        const white = game.players.find(player => getPlayerColor(game, player._id) === 'white');
+        const black = game.players.find(player => getPlayerColor(game, player._id) === 'black');
+
+        const pgn = buildPgn(game, white, black);
+
+        res.setHeader("Content-Type", "application/x-chess-pgn");
+        res.setHeader("Content-Disposition", `attachment; filename="${white.userName}_vs_${black.userName}_${gameId}.pgn"`);
+        return res.status(200).send(pgn);
+    } catch (error) {
+        return sendInternalError(error, res, "exportPgn");
+    }
+};
+
+export const importPgn = async (req, res) => {
+    try {
+        const { pgn, opponentId, color } = req.body;
+        const userId = req.user._id;
+
+        if (!pgn) {
+            return res.status(400).json({ message: "PGN is required" });
+        }
+
+        let parsed;
+        try {
+            parsed = parsePgn(pgn);
+        } catch (error) {
+            return res.status(400).json({ message: "Invalid PGN" });
+        }
+        const { headers, initialPosition, moves, chess } = parsed;
+
+        if (headers.Variant && headers.Variant.toLowerCase() !== 'standard') {
+            return res.status(400).json({ message: "Only standard chess games can be imported" });
+        }
+
+        if (!['1-0', '0-1', '1/2-1/2'].includes(headers.Result)) {
+            return res.status(400).json({ message: "Only finished games can be imported" });
+        }
+
+        // Work out which side the importing user played
+        const side = color || (
+            headers.White === req.user.userName ? 'white' :
+            headers.Black === req.user.userName ? 'black' : null
+        );
+        if (!['white', 'black'].includes(side)) {
+            return res.status(400).json({ message: "Could not tell which side you played, please choose a color" });
+        }
+
+        if (opponentId && !mongoose.isValidObjectId(opponentId)) {
+            return res.status(400).json({ message: "Invalid opponent" });
+        }
+
+        // Opponent is either given explicitly or named in the PGN
+        const opponent = opponentId
+            ? await User.findById(opponentId)
+            : await User.findOne({ userName: side === 'white' ? headers.Black : headers.White });
+        if (!opponent) {
+            return res.status(400).json({ message: "Opponent not found" });
+        }
+        if (opponent._id.toString() === userId.toString()) {
+            return res.status(400).json({ message: "You can't import a game against yourself" });
+        }
+
+        const whiteId = side === 'white' ? userId : opponent._id;
+        const blackId = side === 'white' ? opponent._id : userId;
+
+        const game = new Game({
+            players: [whiteId, blackId],
+            invitedBy: userId,
+            white: whiteId,
+            black: blackId,
+            initialPosition,
+            currentPosition: chess.fen(),
+            moves: moves.map(({ color, ...move }) => ({
+                ...move,
+                by: color === 'w' ? whiteId : blackId
+            })),
+            imported: true,
+            tags: Object.fromEntries(
+                Object.entries(headers).filter(([key]) => !DERIVED_TAGS.includes(key))
+            )
+        });
+
+        if (headers.Result === '1/2-1/2') {
+            game.status = 'drawn';
+            game.result = 'draw';
+        } else {
+            game.winner = headers.Result === '1-0' ? whiteId : blackId;
+            game.result = chess.isCheckmate() ? 'checkmate' : getImportedResult(headers.Termination);
+            game.status = game.result === 'resignation' ? 'resigned' : 'completed';
+        }
+
+        await game.save();
+
+        const importedGame = await populateGame(Game.findById(game._id));
+
+        return res.status(201).json(importedGame);
+    } catch (error) {
+        return sendInternalError(error, res, "importPgn");
+    }
+};
@@ -0,0 +1,116 @@
+import User from "../models/user.model.js";
+import Game from "../models/game.model.js";
+import { sendInternalError } from "../lib/utils.js";
+
+const PAGE_SIZE = 25;
+const CATEGORIES = ['bullet', 'blitz', 'rapid', 'correspondence', 'unlimited'];
+
+// Ranks users by their rating in a category
+const getRatingLeaderboard = async (category, minGames, skip, limit) => {
+    const ratingPath = `ratings.${category}`;
+    // Users without a rated game in the category have nothing to rank
+    const filter = { [`${ratingPath}.games`]: { $gte: Math.max(minGames, 1) }, isBot: { $ne: true } };
+
+    const [users, total] = await Promise.all([
+        User.find(filter)
+            .select(`userName profilePic ${ratingPath}`)
+            .sort({ [`${ratingPath}.rating`]: -1, _id: 1 })
+            .skip(skip)
+            .limit(limit),
+        User.countDocuments(filter)
+    ]);
+
+    const players = users.map(user => ({
+        _id: user._id,
+        userName: user.userName,
+        profilePic: user.profilePic,
+        rating: Math.round(user.ratings[category].rating),
+        rd: Math.round(user.ratings[category].rd),
+        games: user.ratings[category].games
+    }));
+
+    return { players, total };
+};
+
+// Ranks users by wins in finished casual chess games of a category
+const getWinsLeaderboard = async (category, minGames, skip, limit) => {
+    const [result] = await Game.aggregate([
+        {
+            $match: {
+                rated: { $ne: true },
+                // Wins against the computer don't count
+                botLevel: { $exists: false },
+                // Imported games were never played here
+                imported: { $ne: true },
+                // Chess only, games from before game types have none stored
+                gameType: { $in: [null, 'chess'] },
+                status: { $in: ['completed', 'drawn', 'resigned'] },
+                'timeControl.category': category
+            }
+        },
+        { $unwind: '$players' },
+        {
+            $group: {
+                _id: '$players',
+                games: { $sum: 1 },
+                wins: { $sum: { $cond: [{ $eq: ['$winner', '$players'] }, 1, 0] } },
+                draws: { $sum: { $cond: [{ $eq: ['$status', 'drawn'] }, 1, 0] } }
+            }
+        },
+        { $match: { games: { $gte: Math.max(minGames, 1) } } },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+        { $unwind: '$user' },
+        { $match: { 'user.isBot': { $ne: true } } },
+        { $sort: { wins: -1, games: 1, _id: 1 } },
+        {
+            $facet: {
+                players: [
+                    { $skip: skip },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            userName: '$user.userName',
+                            profilePic: '$user.profilePic',
+                            games: 1,
+                            wins: 1,
+                            draws: 1
+                        }
+                    }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    return { players: result.players, total: result.total[0]?.count || 0 };
+};
+
+// Query: category, sort (rating/wins), minGames, page
+export const getLeaderboard = async (req, res) => {
+    try {
+        const { category = 'blitz', sort = 'rating' } = req.query;
+        const minGames = Math.max(parseInt(req.query.minGames) || 0, 0);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        if (!CATEGORIES.includes(category)) {
+            return res.status(400).json({ message: "Invalid category" });
+        }
+        if (!['rating', 'wins'].includes(sort)) {
+            return res.status(400).json({ message: "Sort must be rating or wins" });
+        }
+
+        const skip = (page - 1) * PAGE_SIZE;
+        const { players, total } = sort === 'rating'
+            ? await getRatingLeaderboard(category, minGames, skip, PAGE_SIZE)
+            : await getWinsLeaderboard(category, minGames, skip, PAGE_SIZE);
+
+        return res.status(200).json({
+            players: players.map((player, index) => ({ ...player, rank: skip + index + 1 })),
+            page,
+            totalPages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+            total
+        });
+    } catch (error) {
+        return sendInternalError(error, res, "getLeaderboard");
+    }
+};
@@ -7,7 +7,7 @@ import { getReceiverSocketId, io } from "../lib/socket.js";
 export const getUsers = async (req, res) => {
     try {
         const loggedInUserId = req.user._id;
-        const filteredUsers = await User.find({ _id: { $ne: loggedInUserId}}).select("-password");// $ne = not equal
+        const filteredUsers = await User.find({ _id: { $ne: loggedInUserId}, isBot: { $ne: true } }).select("-password");// $ne = not equal
 
         return res.status(200).json(filteredUsers);
 
@@ -0,0 +1,184 @@
+import mongoose from "mongoose";
+import Simul from "../models/simul.model.js";
+import Game, { populateGame } from "../models/game.model.js";
+import { sendInternalError } from "../lib/utils.js";
+import { getTimeControl } from "../lib/clock.js";
+import { startSimul as startSimulGames } from "../lib/simuls.js";
+
+const populateSimul = (query) => query
+    .populate('host', 'userName profilePic')
+    .populate('participants', 'userName profilePic');
+
+// Simul with its games, populated like a single game so the host's
+// dashboard can show every board
+const getSimulDetails = async (simulId) => {
+    const simul = await populateSimul(Simul.findById(simulId));
+    if (!simul) return null;
+
+    const games = await populateGame(Game.find({ simul: simulId }))
+        .sort({ createdAt: 1 });
+
+    return { simul, games };
+};
+
+export const getSimuls = async (req, res) => {
+    try {
+        const simuls = await Simul.find()
+            .populate('host', 'userName profilePic')
+            .sort({ createdAt: -1 })
+            .limit(50);
+
+        return res.status(200).json(simuls);
+    } catch (error) {
+        return sendInternalError(error, res, "getSimuls");
+    }
+};
+
+export const getSimul = async (req, res) => {
+    try {
+        const { simulId } = req.params;
+        if (!mongoose.isValidObjectId(simulId)) {
+            return res.status(404).json({ message: "Simul not found" });
+        }
+
+        const details = await getSimulDetails(simulId);
+        if (!details) {
+            return res.status(404).json({ message: "Simul not found" });
+        }
+
+        return res.status(200).json(details);
+    } catch (error) {
+        return sendInternalError(error, res, "getSimul");
+    }
+};
+
+// Body: name, hostColor (white/black), timeControl (unlimited or correspondence)
+export const createSimul = async (req, res) => {
+    try {
+        const { name, hostColor = 'white', timeControl: timeControlId } = req.body;
+        const userId = req.user._id;
+
+        if (!name?.trim()) {
+            return res.status(400).json({ message: "Simul name is required" });
+        }
+
+        if (!['white', 'black'].includes(hostColor)) {
+            return res.status(400).json({ message: "Host color must be white or black" });
+        }
+
+        const timeControl = getTimeControl(timeControlId);
+        if (!timeControl) {
+            return res.status(400).json({ message: "Invalid time control" });
+        }
+        // The host moves on every board in turn, so a running clock would flag them
+        if (!['unlimited', 'correspondence'].includes(timeControl.category)) {
+            return res.status(400).json({ message: "Simuls are played without a clock or by correspondence" });
+        }
+
+        const simul = await Simul.create({
+            name: name.trim(),
+            host: userId,
+            hostColor,
+            timeControl
+        });
+
+        return res.status(201).json(await populateSimul(Simul.findById(simul._id)));
+    } catch (error) {
+        return sendInternalError(error, res, "createSimul");
+    }
+};
+
+export const joinSimul = async (req, res) => {
+    try {
+        const { simulId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.isValidObjectId(simulId)) {
+            return res.status(404).json({ message: "Simul not found" });
+        }
+
+        const simul = await Simul.findById(simulId);
+        if (!simul) {
+            return res.status(404).json({ message: "Simul not found" });
+        }
+
+        if (simul.host.toString() === userId.toString()) {
+            return res.status(400).json({ message: "You are hosting this simul" });
+        }
+
+        // Only while the simul hasn't started, and only once
+        const updated = await Simul.findOneAndUpdate(
+            { _id: simulId, status: 'pending', participants: { $ne: userId } },
+            { $push: { participants: userId } }
+        );
+        if (!updated) {
+            return res.status(400).json({ message: simul.status === 'pending' ? "You already joined" : "Simul has already started" });
+        }
+
+        return res.status(200).json(await getSimulDetails(simulId));
+    } catch (error) {
+        return sendInternalError(error, res, "joinSimul");
+    }
+};
+
+export const leaveSimul = async (req, res) => {
+    try {
+        const { simulId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.isValidObjectId(simulId)) {
+            return res.status(404).json({ message: "Simul not found" });
+        }
+
+        const simul = await Simul.findById(simulId);
+        if (!simul) {
+            return res.status(404).json({ message: "Simul not found" });
+        }
+
+        const updated = await Simul.findOneAndUpdate(
+            { _id: simulId, status: 'pending' },
+            { $pull: { participants: userId } }
+        );
+        if (!updated) {
+            return res.status(400).json({ message: "Simul has already started" });
+        }
+
+        return res.status(200).json(await getSimulDetails(simulId));
+    } catch (error) {
+        return sendInternalError(error, res, "leaveSimul");
+    }
+};
+
+// Only the host can start, which creates a game against every participant
+export const startSimul = async (req, res) => {
+    try {
+        const { simulId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.isValidObjectId(simulId)) {
+            return res.status(404).json({ message: "Simul not found" });
+        }
+
+        const simul = await Simul.findById(simulId);
+        if (!simul) {
+            return res.status(404).json({ message: "Simul not found" });
+        }
+
+        if (simul.host.toString() !== userId.toString()) {
+            return res.status(403).json({ message: "Only the host can start the simul" });
+        }
+
+        if (simul.participants.length === 0) {
+            return res.status(400).json({ message: "Nobody has joined yet" });
+        }
+
+        const started = await startSimulGames(simulId);
+        if (!started) {
+            return res.status(400).json({ message: "Simul has already started" });
+        }
+
+        return res.status(200).json(await getSimulDetails(simulId));
+    } catch (error) {
+        return sendInternalError(error, res, "startSimul");
+    }
+};
@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+import Tournament from "../models/tournament.model.js";
+import Game from "../models/game.model.js";
+import User from "../models/user.model.js";
+import { sendInternalError } from "../lib/utils.js";
+import { getTimeControl } from "../lib/clock.js";
+import { getRoundCount, getStandings, startTournament as startFirstRound } from "../lib/tournaments.js";
+
+const MIN_PARTICIPANTS = 3;
+
+const populateTournament = (query) => query
+    .populate('participants', 'userName profilePic ratings')
+    .populate('createdBy', 'userName');
+
+// Tournament with its standings and games, everything the tournament page shows
+const getTournamentDetails = async (tournamentId) => {
+    const tournament = await populateTournament(Tournament.findById(tournamentId));
+    if (!tournament) return null;
+
+    const games = await Game.find({ tournament: tournamentId })
+        .select('players white black winner status result round')
+        .populate('players', 'userName')
+        .sort({ round: 1, createdAt: 1 });
+
+    return { tournament, standings: getStandings(tournament, games), games };
+};
+
+export const getTournaments = async (req, res) => {
+    try {
+        const tournaments = await Tournament.find()
+            .populate('createdBy', 'userName')
+            .sort({ createdAt: -1 })
+            .limit(50);
+
+        return res.status(200).json(tournaments);
+    } catch (error) {
+        return sendInternalError(error, res, "getTournaments");
+    }
+};
+
+export const getTournament = async (req, res) => {
+    try {
+        const { tournamentId } = req.params;
+        if (!mongoose.isValidObjectId(tournamentId)) {
+            return res.status(404).json({ message: "Tournament not found" });
+        }
+
+        const details = await getTournamentDetails(tournamentId);
+        if (!details) {
+            return res.status(404).json({ message: "Tournament not found" });
+        }
+
+        return res.status(200).json(details);
+    } catch (error) {
+        return sendInternalError(error, res, "getTournament");
+    }
+};
+
+// Body: name, format (roundRobin/swiss), timeControl, rated, participants
+// (user ids, the creator only plays if listed) and rounds for Swiss
+export const createTournament = async (req, res) => {
+    try {
+        const { name, format, timeControl: timeControlId, rated = false, participants = [], rounds } = req.body;
+        const userId = req.user._id;
+
+        if (!name?.trim()) {
+            return res.status(400).json({ message: "Tournament name is required" });
+        }
+
+        if (!['roundRobin', 'swiss'].includes(format)) {
+            return res.status(400).json({ message: "Format must be roundRobin or swiss" });
+        }
+
+        const timeControl = getTimeControl(timeControlId);
+        if (!timeControl) {
+            return res.status(400).json({ message: "Invalid time control" });
+        }
+
+        if (!Array.isArray(participants)) {
+            return res.status(400).json({ message: "Participants must be a list of players" });
+        }
+
+        const participantIds = [...new Set(participants.map(String))];
+        if (participantIds.length < MIN_PARTICIPANTS) {
+            return res.status(400).json({ message: `A tournament needs at least ${MIN_PARTICIPANTS} players` });
+        }
+        if (!participantIds.every(id => mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ message: "Invalid participant" });
+        }
+
+        // The bot only plays games it's challenged to
+        const playerCount = await User.countDocuments({ _id: { $in: participantIds }, isBot: { $ne: true } });
+        if (playerCount !== participantIds.length) {
+            return res.status(400).json({ message: "Invalid participant" });
+        }
+
+        if (rounds !== undefined && (!Number.isInteger(rounds) || rounds < 1)) {
+            return res.status(400).json({ message: "Rounds must be a positive number" });
+        }
+
+        const tournament = await Tournament.create({
+            name: name.trim(),
+            format,
+            timeControl,
+            rated: !!rated,
+            createdBy: userId,
+            participants: participantIds,
+            totalRounds: getRoundCount(format, participantIds.length, rounds)
+        });
+
+        return res.status(201).json(tournament);
+    } catch (error) {
+        return sendInternalError(error, res, "createTournament");
+    }
+};
+
+// Only the creator can start, which pairs and starts the first round
+export const startTournament = async (req, res) => {
+    try {
+        const { tournamentId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.isValidObjectId(tournamentId)) {
+            return res.status(404).json({ message: "Tournament not found" });
+        }
+
+        const tournament = await Tournament.findById(tournamentId);
+        if (!tournament) {
+            return res.status(404).json({ message: "Tournament not found" });
+        }
+
+        if (tournament.createdBy.toString() !== userId.toString()) {
+            return res.status(403).json({ message: "Only the organizer can start the tournament" });
+        }
+
+        const started = await startFirstRound(tournamentId);
+        if (!started) {
+            return res.status(400).json({ message: "Tournament has already started" });
+        }
+
+        return res.status(200).json(await getTournamentDetails(tournamentId));
+    } catch (error) {
+        return sendInternalError(error, res, "startTournament");
+    }
+};
@@ -6,9 +6,14 @@ import cookieParser from 'cookie-parser';
 import authRouter from './routes/auth.routes.js';
 import messagesRouter from './routes/messages.routes.js';
 import gameRouter from './routes/game.routes.js';
+import leaderboardRouter from './routes/leaderboard.routes.js';
+import tournamentRouter from './routes/tournament.routes.js';
+import simulRouter from './routes/simul.routes.js';
 
 import { connectDB } from './lib/db.js';
 import {app, server} from './lib/socket.js';
+import { restoreClocks, startDeadlineScheduler } from './lib/clock.js';
+import { restoreBotGames } from './lib/bot.js';
 
 import path from "path";
 
@@ -29,6 +34,9 @@ app.use(
 app.use("/api/auth", authRouter);
 app.use("/api/messages", messagesRouter);
 app.use("/api/game", gameRouter);
+app.use("/api/leaderboard", leaderboardRouter);
+app.use("/api/tournaments", tournamentRouter);
+app.use("/api/simuls", simulRouter);
 
 if(process.env.NODE_ENV === "production"){
   app.use(express.static(path.join(__dirname, '../client/dist')));
@@ -40,5 +48,8 @@ if(process.env.NODE_ENV === "production"){
 
 server.listen(PORT,() => {
     console.log(`Listening on port ${PORT}`)
-    connectDB();
+    connectDB().then(() => {
+      startDeadlineScheduler();
+      return Promise.all([restoreClocks(), restoreBotGames()]);
+    });
 });
\ No newline at end of file
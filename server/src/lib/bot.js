@@ -0,0 +1,63 @@
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import Game from "../models/game.model.js";
+import User from "../models/user.model.js";
+import { findBestMove } from "./engine.js";
+import { playMove } from "./moves.js";
+
+const BOT_USER_NAME = "Wombadilo Bot";
+const BOT_EMAIL = "bot@wombadilo.local";
+
+// Short pause so the reply doesn't land on the board before the player's own move
+const THINKING_DELAY = 500;
+
+let botUserId = null;
+
+// The bot is a regular user that can't log in, created on first use
+export const getBotUser = async () => {
+  const existing = await User.findOne({ isBot: true });
+  if (existing) {
+    botUserId = existing._id;
+    return existing;
+  }
+
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+  const bot = await User.create({ userName: BOT_USER_NAME, email: BOT_EMAIL, password, isBot: true });
+  botUserId = bot._id;
+  return bot;
+};
+
+const isBotTurn = (game) =>
+  game.status === "active" && !!botUserId && (game.turn?._id || game.turn)?.toString() === botUserId.toString();
+
+// Plays the bot's reply if it is the bot's turn in this game
+export const scheduleBotMove = (game) => {
+  if (!isBotTurn(game)) return;
+
+  setTimeout(async () => {
+    try {
+      const current = await Game.findById(game._id);
+      if (!current || !isBotTurn(current)) return;
+
+      const move = findBestMove(current.currentPosition, current.botLevel);
+      if (!move) return;
+
+      // Same validation and broadcast as a human move
+      const { error } = await playMove(current._id, botUserId, move);
+      if (error) console.log("Bot move rejected", error.message);
+    } catch (error) {
+      console.log("Error in bot move", error.message);
+    }
+  }, THINKING_DELAY);
+};
+
+// Bot replies live in memory, pick up games waiting on the bot after a restart
+export const restoreBotGames = async () => {
+  try {
+    const bot = await getBotUser();
+    const games = await Game.find({ status: "active", turn: bot._id });
+    games.forEach(scheduleBotMove);
+  } catch (error) {
+    console.log("Error restoring bot games", error.message);
+  }
+};
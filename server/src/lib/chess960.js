@@ -0,0 +1,160 @@
+import { Chess } from "chess.js";
+
+// chess.js only castles from the standard squares, so Chess960 games keep "-"
+// as castling rights in their FENs and castling is handled here. Rights are
+// worked out from the start position and the moves played, like takebacks
+// restore them for free
+
+const FILES = "abcdefgh";
+
+// Where the king and rook end up, whatever squares they started on
+const CASTLING_TARGETS = {
+  k: { king: 6, rook: 5, san: "O-O" },
+  q: { king: 2, rook: 3, san: "O-O-O" },
+};
+
+const toSquare = (file, rank) => `${FILES[file]}${rank}`;
+
+// Bishops on opposite colors, then queen and knights anywhere, and the king
+// between the two rooks on the last three free squares
+export const createChess960Position = () => {
+  const backRank = Array(8).fill(null);
+  const pick = (files) => files[Math.floor(Math.random() * files.length)];
+  const freeFiles = () => backRank.map((piece, file) => (piece ? -1 : file)).filter(file => file >= 0);
+
+  backRank[pick([0, 2, 4, 6])] = "b";
+  backRank[pick([1, 3, 5, 7])] = "b";
+  backRank[pick(freeFiles())] = "q";
+  backRank[pick(freeFiles())] = "n";
+  backRank[pick(freeFiles())] = "n";
+  const [left, middle, right] = freeFiles();
+  backRank[left] = "r";
+  backRank[middle] = "k";
+  backRank[right] = "r";
+
+  const pieces = backRank.join("");
+  return `${pieces}/pppppppp/8/8/8/8/PPPPPPPP/${pieces.toUpperCase()} w - - 0 1`;
+};
+
+// Home squares of a side's king and rooks, read from the game's start position
+const getHomeSquares = (initialPosition, color) => {
+  const rows = initialPosition.split(" ")[0].split("/");
+  const rank = color === "w" ? 1 : 8;
+  const row = rows[8 - rank].replace(/\d/g, (empty) => ".".repeat(Number(empty))).split("");
+  const [king, rook] = color === "w" ? ["K", "R"] : ["k", "r"];
+
+  const kingFile = row.indexOf(king);
+  if (kingFile < 0) return null;
+  const queensideFile = row.lastIndexOf(rook, kingFile);
+  const kingsideFile = row.indexOf(rook, kingFile);
+
+  return {
+    king: toSquare(kingFile, rank),
+    q: queensideFile >= 0 ? toSquare(queensideFile, rank) : null,
+    k: kingsideFile >= 0 ? toSquare(kingsideFile, rank) : null,
+  };
+};
+
+// Castling rights left after the first `plies` moves, as Shredder-FEN rook
+// files ("HAha"), uppercase for white. A side loses a right once its king or
+// that rook moved or was captured
+export const getCastlingRights = (game, plies = game.moves.length) => {
+  const played = game.moves.slice(0, plies);
+  const rights = ["w", "b"].flatMap((color) => {
+    const home = getHomeSquares(game.initialPosition, color);
+    if (!home) return [];
+    return ["k", "q"]
+      .filter(side => home[side] && !played.some(move =>
+        [move.from, move.to].some(square => square === home.king || square === home[side])))
+      .map(side => (color === "w" ? home[side][0].toUpperCase() : home[side][0]));
+  });
+  return rights.join("") || "-";
+};
+
+// Puts the real castling rights into a stored FEN, for anything outside
+// this file that reads them
+export const withCastlingRights = (game, fen, plies) => {
+  const fields = fen.split(" ");
+  fields[2] = getCastlingRights(game, plies);
+  return fields.join(" ");
+};
+
+// Castling is played by moving the king onto its own rook. Returns
+// { side, king, rook, color } when from/to asks for a castle that the side
+// still has the right to, null otherwise
+export const getCastling = (game, chess, from, to) => {
+  if (game.variant !== "chess960") return null;
+
+  const color = chess.turn();
+  const home = getHomeSquares(game.initialPosition, color);
+  if (!home || from !== home.king) return null;
+
+  const side = ["k", "q"].find(castlingSide => home[castlingSide] === to);
+  if (!side) return null;
+
+  // Any move from or onto a home square means the piece moved or was captured
+  const hasMoved = game.moves.some(move => [move.from, move.to].some(square => square === from || square === to));
+  if (hasMoved) return null;
+
+  return { side, king: from, rook: to, color };
+};
+
+// Plays a castle found by getCastling on the chess instance. Returns the move
+// like chess.js does ({ san, from, to, after }), or null when it's illegal here
+export const castle = (chess, { side, king, rook, color }) => {
+  const rank = king[1];
+  const kingFrom = FILES.indexOf(king[0]);
+  const rookFrom = FILES.indexOf(rook[0]);
+  const { king: kingTo, rook: rookTo, san } = CASTLING_TARGETS[side];
+  const opponent = color === "w" ? "b" : "w";
+
+  // Every square the king and rook cross or land on has to be empty
+  const low = Math.min(kingFrom, rookFrom, kingTo, rookTo);
+  const high = Math.max(kingFrom, rookFrom, kingTo, rookTo);
+  for (let file = low; file <= high; file++) {
+    if (file !== kingFrom && file !== rookFrom && chess.get(toSquare(file, rank))) return null;
+  }
+
+  // No castling out of, through or into check
+  if (chess.inCheck()) return null;
+  const step = Math.sign(kingTo - kingFrom);
+  for (let file = kingFrom; file !== kingTo;) {
+    file += step;
+    if (chess.isAttacked(toSquare(file, rank), opponent)) return null;
+  }
+
+  const board = new Chess(chess.fen());
+  board.remove(king);
+  board.remove(rook);
+  board.put({ type: "k", color }, toSquare(kingTo, rank));
+  board.put({ type: "r", color }, toSquare(rookTo, rank));
+
+  // The rook leaving can uncover an attack along the back rank
+  if (board.isAttacked(toSquare(kingTo, rank), opponent)) return null;
+
+  const [placement, , , , halfMoves, fullMove] = board.fen().split(" ");
+  const after = [
+    placement,
+    opponent,
+    "-",
+    "-",
+    Number(halfMoves) + 1,
+    color === "b" ? Number(fullMove) + 1 : fullMove,
+  ].join(" ");
+  chess.load(after);
+
+  const suffix = chess.isCheckmate() ? "#" : chess.inCheck() ? "+" : "";
+  return { san: `${san}${suffix}`, from: king, to: rook, after };
+};
+
+// chess.js doesn't see Chess960 castles, so a side whose only move is castling
+// looks stalemated to it
+export const hasCastlingMove = (game, chess) => {
+  const home = getHomeSquares(game.initialPosition, chess.turn());
+  if (!home) return false;
+
+  return ["k", "q"].some((side) => {
+    const castling = home[side] && getCastling(game, chess, home.king, home[side]);
+    return !!castling && !!castle(new Chess(chess.fen()), castling);
+  });
+};
@@ -0,0 +1,162 @@
+import Game from "../models/game.model.js";
+import { io, getReceiverSocketId } from "./socket.js";
+import { endGame } from "./outcome.js";
+import { getGameType } from "./gameTypes/index.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+export const TIME_CONTROLS = {
+  unlimited: { category: "unlimited" },
+  "1+0": { category: "bullet", initial: 1 * MINUTE, increment: 0 },
+  "2+1": { category: "bullet", initial: 2 * MINUTE, increment: 1000 },
+  "3+2": { category: "blitz", initial: 3 * MINUTE, increment: 2000 },
+  "5+0": { category: "blitz", initial: 5 * MINUTE, increment: 0 },
+  "5+3": { category: "blitz", initial: 5 * MINUTE, increment: 3000 },
+  "10+0": { category: "rapid", initial: 10 * MINUTE, increment: 0 },
+  "15+10": { category: "rapid", initial: 15 * MINUTE, increment: 10000 },
+  "corr-1": { category: "correspondence", daysPerMove: 1 },
+  "corr-3": { category: "correspondence", daysPerMove: 3 },
+  "corr-7": { category: "correspondence", daysPerMove: 7 },
+};
+
+export const getTimeControl = (id = "unlimited") => {
+  const timeControl = TIME_CONTROLS[id];
+  return timeControl ? { id, ...timeControl } : null;
+};
+
+export const isTimed = (game) =>
+  !!game.timeControl?.category && game.timeControl.category !== "unlimited";
+
+const isCorrespondence = (game) => game.timeControl?.category === "correspondence";
+
+const getMoveBudget = (timeControl) =>
+  timeControl.category === "correspondence" ? timeControl.daysPerMove * DAY : timeControl.initial;
+
+// Color of the side to move, as the game type reads its position
+export const getSideToMove = (game) =>
+  getGameType(game.gameType).getSideToMove(game.currentPosition);
+
+// Correspondence games store when the side to move runs out, so the
+// deadline scheduler can find them with a query
+export const updateDeadline = (game) => {
+  if (!isCorrespondence(game)) return;
+  const color = getSideToMove(game);
+  game.moveDeadline = new Date(new Date(game.clock.lastMoveAt).getTime() + game.clock[color]);
+};
+
+// Starts both clocks, the side to move starts thinking right away
+export const startClock = (game, now = new Date()) => {
+  if (!isTimed(game)) return;
+  const budget = getMoveBudget(game.timeControl);
+  game.clock = { white: budget, black: budget, lastMoveAt: now };
+  updateDeadline(game);
+};
+
+// Time left for a color at a given moment, counting the running clock
+export const getRemaining = (game, color, now = new Date()) => {
+  const stored = game.clock[color];
+  if (getSideToMove(game) !== color || !game.clock.lastMoveAt) return stored;
+  return stored - (now - new Date(game.clock.lastMoveAt));
+};
+
+// Stops the mover's clock and starts the opponent's
+export const pressClock = (game, color, now = new Date()) => {
+  const { timeControl } = game;
+  if (timeControl.category === "correspondence") {
+    // Every move gets a fresh budget of days
+    game.clock[color] = getMoveBudget(timeControl);
+  } else {
+    const elapsed = now - new Date(game.clock.lastMoveAt);
+    game.clock[color] = game.clock[color] - elapsed + timeControl.increment;
+  }
+  game.clock.lastMoveAt = now;
+  updateDeadline(game);
+};
+
+// Ends the game if the side to move has run out of time. Returns true when it did
+export const flagGame = async (gameId) => {
+  const game = await Game.findById(gameId);
+  if (!game || game.status !== "active" || !isTimed(game)) return false;
+
+  const flaggedColor = getSideToMove(game);
+  if (getRemaining(game, flaggedColor) > 0) return false;
+
+  const flaggedPlayer = game.turn;
+  game.clock[flaggedColor] = 0;
+  await endGame(game, {
+    status: "completed",
+    result: "timeout",
+    winner: game.players.find(playerId => playerId.toString() !== flaggedPlayer.toString()),
+  });
+  await game.save();
+
+  // Correspondence players are rarely looking at the game, reach them directly too
+  const playerSockets = game.players.map(playerId => getReceiverSocketId(playerId.toString())).filter(Boolean);
+  io.to(`game:${gameId}`).to(playerSockets).emit("gameTimeout", {
+    gameId,
+    flagged: flaggedPlayer,
+    winner: game.winner,
+  });
+
+  return true;
+};
+
+const flagTimers = new Map(); // {gameId: timeout}
+
+export const cancelFlag = (gameId) => {
+  clearTimeout(flagTimers.get(gameId.toString()));
+  flagTimers.delete(gameId.toString());
+};
+
+// Arms a timer that fires when the side to move runs out of time.
+// Correspondence deadlines are left to the deadline scheduler
+export const scheduleFlag = (game) => {
+  cancelFlag(game._id);
+  if (game.status !== "active" || !isTimed(game) || isCorrespondence(game)) return;
+
+  const delay = Math.max(getRemaining(game, getSideToMove(game)), 0);
+
+  const timer = setTimeout(async () => {
+    flagTimers.delete(game._id.toString());
+    try {
+      await flagGame(game._id);
+    } catch (error) {
+      console.log("Error in flag timer", error.message);
+    }
+  }, delay);
+  flagTimers.set(game._id.toString(), timer);
+};
+
+// Timers live in memory, so re-arm them for running games after a restart
+export const restoreClocks = async () => {
+  try {
+    const games = await Game.find({
+      status: "active",
+      "timeControl.category": { $nin: [null, "unlimited", "correspondence"] },
+    });
+    games.forEach(scheduleFlag);
+  } catch (error) {
+    console.log("Error restoring clocks", error.message);
+  }
+};
+
+const DEADLINE_CHECK_INTERVAL = 60 * 1000;
+
+// Polls for correspondence games whose move deadline has passed. Works from the
+// stored deadlines, so nothing is lost when the server restarts
+export const startDeadlineScheduler = () => {
+  const checkDeadlines = async () => {
+    try {
+      const games = await Game.find({ status: "active", moveDeadline: { $lte: new Date() } }).select("_id");
+      for (const game of games) {
+        await flagGame(game._id);
+      }
+    } catch (error) {
+      console.log("Error checking move deadlines", error.message);
+    }
+  };
+
+  checkDeadlines();
+  return setInterval(checkDeadlines, DEADLINE_CHECK_INTERVAL);
+};
@@ -0,0 +1,146 @@
+import { Chess } from "chess.js";
+
+// Small alpha-beta engine for the computer opponent. It runs on chess.js move
+// generation, which is slow, so the search stays shallow and cheap
+
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+
+// Piece-square tables from white's point of view, a8 first
+// (https://www.chessprogramming.org/Simplified_Evaluation_Function)
+const PIECE_SQUARES = {
+  p: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    50, 50, 50, 50, 50, 50, 50, 50,
+    10, 10, 20, 30, 30, 20, 10, 10,
+    5, 5, 10, 25, 25, 10, 5, 5,
+    0, 0, 0, 20, 20, 0, 0, 0,
+    5, -5, -10, 0, 0, -10, -5, 5,
+    5, 10, 10, -20, -20, 10, 10, 5,
+    0, 0, 0, 0, 0, 0, 0, 0,
+  ],
+  n: [
+    -50, -40, -30, -30, -30, -30, -40, -50,
+    -40, -20, 0, 0, 0, 0, -20, -40,
+    -30, 0, 10, 15, 15, 10, 0, -30,
+    -30, 5, 15, 20, 20, 15, 5, -30,
+    -30, 0, 15, 20, 20, 15, 0, -30,
+    -30, 5, 10, 15, 15, 10, 5, -30,
+    -40, -20, 0, 5, 5, 0, -20, -40,
+    -50, -40, -30, -30, -30, -30, -40, -50,
+  ],
+  b: [
+    -20, -10, -10, -10, -10, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 10, 10, 5, 0, -10,
+    -10, 5, 5, 10, 10, 5, 5, -10,
+    -10, 0, 10, 10, 10, 10, 0, -10,
+    -10, 10, 10, 10, 10, 10, 10, -10,
+    -10, 5, 0, 0, 0, 0, 5, -10,
+    -20, -10, -10, -10, -10, -10, -10, -20,
+  ],
+  r: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    5, 10, 10, 10, 10, 10, 10, 5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    0, 0, 0, 5, 5, 0, 0, 0,
+  ],
+  q: [
+    -20, -10, -10, -5, -5, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 5, 5, 5, 0, -10,
+    -5, 0, 5, 5, 5, 5, 0, -5,
+    0, 0, 5, 5, 5, 5, 0, -5,
+    -10, 5, 5, 5, 5, 5, 0, -10,
+    -10, 0, 5, 0, 0, 0, 0, -10,
+    -20, -10, -10, -5, -5, -10, -10, -20,
+  ],
+  k: [
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -20, -30, -30, -40, -40, -30, -30, -20,
+    -10, -20, -20, -20, -20, -20, -20, -10,
+    20, 20, 0, 0, 0, 0, 20, 20,
+    20, 30, 10, 0, 0, 10, 30, 20,
+  ],
+};
+
+const MATE_SCORE = 100000;
+
+// Search depth and how much random noise (in centipawns) is added to root moves
+export const BOT_LEVELS = {
+  1: { depth: 1, noise: 300 },
+  2: { depth: 2, noise: 80 },
+  3: { depth: 2, noise: 15 },
+  4: { depth: 3, noise: 0 },
+};
+
+// Material and placement, positive when the side to move is better
+const evaluate = (chess) => {
+  let score = 0;
+  chess.board().forEach((row, rank) => {
+    row.forEach((piece, file) => {
+      if (!piece) return;
+      // Black reads the table upside down
+      const index = piece.color === "w" ? rank * 8 + file : (7 - rank) * 8 + file;
+      const value = PIECE_VALUES[piece.type] + PIECE_SQUARES[piece.type][index];
+      score += piece.color === "w" ? value : -value;
+    });
+  });
+  return chess.turn() === "w" ? score : -score;
+};
+
+// Captures and promotions first, so alpha-beta cuts more
+const orderMoves = (moves) =>
+  moves.sort((a, b) => moveOrderScore(b) - moveOrderScore(a));
+
+const moveOrderScore = (move) =>
+  (move.captured ? 10 * PIECE_VALUES[move.captured] - PIECE_VALUES[move.piece] : 0) +
+  (move.promotion ? PIECE_VALUES[move.promotion] : 0);
+
+const negamax = (chess, depth, alpha, beta, ply) => {
+  if (chess.isCheckmate()) return -MATE_SCORE + ply;
+  if (chess.isDraw()) return 0;
+  if (depth === 0) return evaluate(chess);
+
+  let best = -Infinity;
+  for (const move of orderMoves(chess.moves({ verbose: true }))) {
+    chess.move(move);
+    const score = -negamax(chess, depth - 1, -beta, -alpha, ply + 1);
+    chess.undo();
+
+    if (score > best) best = score;
+    if (score > alpha) alpha = score;
+    if (alpha >= beta) break;
+  }
+  return best;
+};
+
+// Picks a move for the side to move. Returns { from, to, promotion } or null when there is none
+export const findBestMove = (fen, level = 2) => {
+  const { depth, noise } = BOT_LEVELS[level] || BOT_LEVELS[2];
+  const chess = new Chess(fen);
+  const moves = orderMoves(chess.moves({ verbose: true }));
+  if (moves.length === 0) return null;
+
+  let bestMove = null;
+  let bestScore = -Infinity;
+  moves.forEach((move) => {
+    chess.move(move);
+    // Moves that can't beat the best one even with full noise only need a bound
+    const score = -negamax(chess, depth - 1, -Infinity, -(bestScore - noise), 1) + Math.random() * noise;
+    chess.undo();
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestMove = move;
+    }
+  });
+
+  return { from: bestMove.from, to: bestMove.to, promotion: bestMove.promotion };
+};
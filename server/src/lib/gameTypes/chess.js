@@ -0,0 +1,61 @@
+import { Chess, validateFen } from "chess.js";
+import { getChessOutcome } from "../outcome.js";
+import { createChess960Position, getCastling, castle } from "../chess960.js";
+
+// Chess on top of chess.js, positions are FENs
+export default {
+  id: "chess",
+  label: "Chess",
+  rated: true,
+  variants: ["standard", "chess960", "kingOfTheHill", "threeCheck"],
+
+  // Returns { position } or { error }. Standard games can start from a custom FEN
+  createInitialPosition: ({ variant, fen }) => {
+    if (variant === "chess960") {
+      if (fen) return { error: "Chess960 games use a random starting position" };
+      return { position: createChess960Position() };
+    }
+    if (!fen) return { position: new Chess().fen() };
+
+    const validation = validateFen(fen);
+    if (!validation.ok) return { error: `Invalid FEN: ${validation.error}` };
+    if (new Chess(fen).isGameOver()) return { error: "The starting position is already game over" };
+    return { position: fen };
+  },
+
+  getSideToMove: (position) => (position.split(" ")[1] === "b" ? "black" : "white"),
+
+  // Returns { move: { san, from, to, promotion, position } } or { error }
+  applyMove: (game, { from, to, promotion }) => {
+    if (promotion && !["q", "r", "b", "n"].includes(promotion)) {
+      return { error: "Invalid promotion piece" };
+    }
+
+    const chess = new Chess(game.currentPosition);
+
+    // Pawn moves to the last rank need an explicit piece
+    const isPromotion = chess.moves({ square: from, verbose: true })
+      .some(legalMove => legalMove.to === to && legalMove.promotion);
+    if (isPromotion && !promotion) return { error: "Choose a promotion piece" };
+
+    let move;
+    const castling = getCastling(game, chess, from, to);
+    if (castling) {
+      move = castle(chess, castling);
+      if (!move) return { error: "Can't castle right now" };
+    } else {
+      try {
+        move = chess.move({ from, to, promotion });
+      } catch {
+        return { error: "Invalid move" };
+      }
+    }
+
+    return {
+      move: { san: move.san, from: move.from, to: move.to, promotion: move.promotion, position: chess.fen() },
+    };
+  },
+
+  // Called with the move already stored on the game
+  getOutcome: (game) => getChessOutcome(new Chess(game.currentPosition), game),
+};
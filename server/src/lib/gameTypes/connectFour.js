@@ -0,0 +1,82 @@
+// Connect Four. Positions are the six rows top to bottom, "." for empty, "r"
+// for the first player (the white seat) and "y" for the second, followed by
+// the side to move like a FEN: "......./......./......./......./......./....... w"
+
+const COLUMNS = 7;
+const ROWS = 6;
+const FILES = "abcdefg";
+const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+const EMPTY_POSITION = `${Array(ROWS).fill(".".repeat(COLUMNS)).join("/")} w`;
+
+// board[row][column], row 0 is the top
+const parse = (position) => {
+  const [rows, turn] = position.split(" ");
+  return { board: rows.split("/").map(row => row.split("")), turn };
+};
+
+const serialize = (board, turn) => `${board.map(row => row.join("")).join("/")} ${turn}`;
+
+// Bottom row is rank 1, so the last move can be highlighted like a chess square
+const toSquare = (row, column) => `${FILES[column]}${ROWS - row}`;
+const fromSquare = (square) => ({ row: ROWS - Number(square[1]), column: FILES.indexOf(square[0]) });
+
+const countDirection = (board, row, column, [rowStep, columnStep]) => {
+  const disc = board[row][column];
+  let count = 0;
+  for (let r = row + rowStep, c = column + columnStep; board[r]?.[c] === disc; r += rowStep, c += columnStep) {
+    count++;
+  }
+  return count;
+};
+
+// Only lines through the disc just dropped can be new
+const isFourInARow = (board, row, column) => DIRECTIONS.some(([rowStep, columnStep]) =>
+  1 + countDirection(board, row, column, [rowStep, columnStep]) +
+    countDirection(board, row, column, [-rowStep, -columnStep]) >= 4);
+
+export default {
+  id: "connectFour",
+  label: "Connect Four",
+  variants: ["standard"],
+
+  createInitialPosition: ({ fen }) => {
+    if (fen) return { error: "Custom starting positions are only available for chess" };
+    return { position: EMPTY_POSITION };
+  },
+
+  getSideToMove: (position) => (parse(position).turn === "b" ? "black" : "white"),
+
+  // Move is { column }, 0 to 6 from the left
+  applyMove: (game, { column }) => {
+    if (!Number.isInteger(column) || column < 0 || column >= COLUMNS) return { error: "Invalid column" };
+
+    const { board, turn } = parse(game.currentPosition);
+
+    // Discs fall to the lowest empty row
+    let row = ROWS - 1;
+    while (row >= 0 && board[row][column] !== ".") row--;
+    if (row < 0) return { error: "That column is full" };
+
+    board[row][column] = turn === "w" ? "r" : "y";
+
+    return {
+      move: {
+        san: String(column + 1),
+        to: toSquare(row, column),
+        position: serialize(board, turn === "w" ? "b" : "w"),
+      },
+    };
+  },
+
+  getOutcome: (game) => {
+    const lastMove = game.moves[game.moves.length - 1];
+    if (!lastMove) return null;
+
+    const { board } = parse(game.currentPosition);
+    const { row, column } = fromSquare(lastMove.to);
+    if (isFourInARow(board, row, column)) return { status: "completed", result: "fourInARow" };
+    if (board[0].every(cell => cell !== ".")) return { status: "drawn", result: "boardFull" };
+    return null;
+  },
+};
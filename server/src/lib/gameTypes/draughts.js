@@ -0,0 +1,175 @@
+// English draughts (checkers) on the dark squares of an 8x8 board. Positions
+// are the ranks from 8 down to 1, "w"/"b" for the men of the white and black
+// seats and "W"/"B" for their kings, then the side to move and the number of
+// half-moves since the last capture or man move: ".b.b.b.b/b.b.b.b./... w 0".
+// The white seat plays the dark pieces and moves first, up the board
+
+const FILES = "abcdefgh";
+const SIZE = 8;
+
+// Plies without a capture or a man moving before the game is drawn
+const QUIET_MOVE_LIMIT = 80;
+
+const INITIAL_POSITION = [
+  ".b.b.b.b",
+  "b.b.b.b.",
+  ".b.b.b.b",
+  "........",
+  "........",
+  "w.w.w.w.",
+  ".w.w.w.w",
+  "w.w.w.w.",
+].join("/") + " w 0";
+
+// board[row][column], row 0 is rank 8
+const parse = (position) => {
+  const [rows, turn, quietMoves] = position.split(" ");
+  return { board: rows.split("/").map(row => row.split("")), turn, quietMoves: Number(quietMoves) || 0 };
+};
+
+const serialize = (board, turn, quietMoves) =>
+  `${board.map(row => row.join("")).join("/")} ${turn} ${quietMoves}`;
+
+const toSquare = (row, column) => `${FILES[column]}${SIZE - row}`;
+
+const isInside = (row, column) => row >= 0 && row < SIZE && column >= 0 && column < SIZE;
+const ownerOf = (piece) => piece.toLowerCase();
+const isKing = (piece) => piece === "W" || piece === "B";
+
+// Men only go forward, kings both ways
+const getDirections = (piece) => {
+  const forward = ownerOf(piece) === "w" ? -1 : 1;
+  const directions = [[forward, -1], [forward, 1]];
+  return isKing(piece) ? [...directions, [-forward, -1], [-forward, 1]] : directions;
+};
+
+const isCrowningRow = (piece, row) => !isKing(piece) && row === (ownerOf(piece) === "w" ? 0 : SIZE - 1);
+
+// Every way to keep jumping from (row, column). A man that reaches the far
+// row is crowned and its move ends there
+const findJumps = (board, row, column, piece, captured) => {
+  const sequences = [];
+  getDirections(piece).forEach(([rowStep, columnStep]) => {
+    const overRow = row + rowStep;
+    const overColumn = column + columnStep;
+    const landRow = row + 2 * rowStep;
+    const landColumn = column + 2 * columnStep;
+    if (!isInside(landRow, landColumn) || board[landRow][landColumn] !== ".") return;
+
+    const jumped = board[overRow][overColumn];
+    const jumpedSquare = toSquare(overRow, overColumn);
+    if (jumped === "." || ownerOf(jumped) === ownerOf(piece) || captured.includes(jumpedSquare)) return;
+
+    const nextCaptured = [...captured, jumpedSquare];
+    const landing = toSquare(landRow, landColumn);
+    const continuations = isCrowningRow(piece, landRow)
+      ? []
+      : findJumps(board, landRow, landColumn, piece, nextCaptured);
+
+    if (continuations.length === 0) {
+      sequences.push({ path: [landing], captured: nextCaptured });
+    } else {
+      continuations.forEach(sequence => sequences.push({ ...sequence, path: [landing, ...sequence.path] }));
+    }
+  });
+  return sequences;
+};
+
+// All legal moves for the side to move as { path, captured }, path starting
+// with the piece's square. Captures are compulsory
+const getLegalMoves = (board, turn) => {
+  const jumps = [];
+  const steps = [];
+
+  board.forEach((cells, row) => cells.forEach((piece, column) => {
+    if (piece === "." || ownerOf(piece) !== turn) return;
+    const from = toSquare(row, column);
+
+    // The moving piece leaves its square, so a king can jump back across it
+    board[row][column] = ".";
+    findJumps(board, row, column, piece, []).forEach(jump => jumps.push({ ...jump, path: [from, ...jump.path] }));
+    board[row][column] = piece;
+
+    getDirections(piece).forEach(([rowStep, columnStep]) => {
+      const toRow = row + rowStep;
+      const toColumn = column + columnStep;
+      if (isInside(toRow, toColumn) && board[toRow][toColumn] === ".") {
+        steps.push({ path: [from, toSquare(toRow, toColumn)], captured: [] });
+      }
+    });
+  }));
+
+  return jumps.length > 0 ? jumps : steps;
+};
+
+const fromSquare = (square) => ({ row: SIZE - Number(square[1]), column: FILES.indexOf(square[0]) });
+
+export default {
+  id: "draughts",
+  label: "Draughts",
+  variants: ["standard"],
+
+  createInitialPosition: ({ fen }) => {
+    if (fen) return { error: "Custom starting positions are only available for chess" };
+    return { position: INITIAL_POSITION };
+  },
+
+  getSideToMove: (position) => (parse(position).turn === "b" ? "black" : "white"),
+
+  // Every route the side to move can play, as { path, captured }, so the board
+  // can tell a finished capture from one that goes on
+  getLegalMoves: (game) => {
+    const { board, turn } = parse(game.currentPosition);
+    return getLegalMoves(board, turn);
+  },
+
+  // Move is { from, to } and, when two capture routes end on the same
+  // square, the full path of squares visited
+  applyMove: (game, { from, to, path }) => {
+    const { board, turn, quietMoves } = parse(game.currentPosition);
+    const legalMoves = getLegalMoves(board, turn);
+
+    const matches = legalMoves.filter(move =>
+      move.path[0] === from &&
+      move.path[move.path.length - 1] === to &&
+      (!Array.isArray(path) || move.path.join() === path.join()));
+
+    if (matches.length === 0) {
+      const isUnfinishedJump = legalMoves.some(move => move.path[0] === from && move.path.includes(to));
+      if (isUnfinishedJump) return { error: "Keep jumping, the capture isn't finished" };
+      return { error: legalMoves[0]?.captured.length ? "You have to capture" : "Invalid move" };
+    }
+    if (matches.length > 1) return { error: "More than one capture ends there, choose the route" };
+
+    const [move] = matches;
+    const start = fromSquare(from);
+    const end = fromSquare(to);
+    const piece = board[start.row][start.column];
+
+    board[start.row][start.column] = ".";
+    move.captured.forEach((square) => {
+      const { row, column } = fromSquare(square);
+      board[row][column] = ".";
+    });
+    board[end.row][end.column] = isCrowningRow(piece, end.row) ? piece.toUpperCase() : piece;
+
+    const isQuiet = move.captured.length === 0 && isKing(piece);
+
+    return {
+      move: {
+        san: move.path.join(move.captured.length ? "x" : "-"),
+        from,
+        to,
+        position: serialize(board, turn === "w" ? "b" : "w", isQuiet ? quietMoves + 1 : 0),
+      },
+    };
+  },
+
+  // Whoever can't move loses, which includes having no pieces left
+  getOutcome: (game) => {
+    const { board, turn, quietMoves } = parse(game.currentPosition);
+    if (getLegalMoves(board, turn).length === 0) return { status: "completed", result: "noMovesLeft" };
+    if (quietMoves >= QUIET_MOVE_LIMIT) return { status: "drawn", result: "fortyMoveRule" };
+    return null;
+  },
+};
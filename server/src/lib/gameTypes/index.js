@@ -0,0 +1,24 @@
+import chess from "./chess.js";
+import connectFour from "./connectFour.js";
+import draughts from "./draughts.js";
+
+// Every kind of game the server can host. A game type provides:
+//   id, label, variants                    stored on the game as gameType / variant
+//   rated                                  whether its games can be rated
+//   createInitialPosition({ variant, fen }) -> { position } or { error }
+//   getSideToMove(position)                -> 'white' or 'black', the two seats
+//   applyMove(game, move)                  -> { move: { san, from, to, promotion, position } } or { error }
+//   getOutcome(game)                       -> { status, result } once the last move ended the game, null otherwise
+// Positions are strings the type alone knows how to read. Wins go to the side
+// that just moved
+const gameTypes = new Map();
+
+export const registerGameType = (gameType) => {
+  gameTypes.set(gameType.id, gameType);
+};
+
+export const getGameType = (id = "chess") => gameTypes.get(id) || null;
+
+registerGameType(chess);
+registerGameType(connectFour);
+registerGameType(draughts);
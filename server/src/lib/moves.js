@@ -0,0 +1,92 @@
+import Game, { populateGame } from "../models/game.model.js";
+import { io } from "./socket.js";
+import { endGame } from "./outcome.js";
+import { isTimed, getRemaining, pressClock, flagGame, scheduleFlag } from "./clock.js";
+import { getPlayerColor } from "./players.js";
+import { getGameType } from "./gameTypes/index.js";
+
+const reject = (status, message) => ({ error: { status, message } });
+
+// Validates and plays a move for a player, human or bot, then broadcasts it.
+// The game type checks the move itself. Returns { game } or { error: { status, message } }
+export const playMove = async (gameId, userId, moveInput) => {
+  const game = await populateGame(Game.findById(gameId));
+  if (!game) return reject(404, "Game not found");
+
+  // Can't move once the game is over
+  if (game.status !== "active") return reject(400, "Game is not active");
+
+  // Verify it's the user's turn
+  if (game.turn._id.toString() !== userId.toString()) return reject(403, "Not your turn");
+
+  const gameType = getGameType(game.gameType);
+  if (!gameType) return reject(400, "Unknown game type");
+
+  // Verify correct side is moving
+  const color = getPlayerColor(game, userId);
+  if (color !== gameType.getSideToMove(game.currentPosition)) return reject(403, "Wrong color piece");
+
+  // Verify the player still has time left
+  const now = new Date();
+  if (isTimed(game) && getRemaining(game, color, now) <= 0) {
+    await flagGame(gameId);
+    return reject(400, "Your time has run out");
+  }
+
+  const { move, error } = gameType.applyMove(game, moveInput || {});
+  if (error) return reject(400, error);
+
+  game.currentPosition = move.position;
+  game.moves.push({
+    san: move.san,
+    from: move.from,
+    to: move.to,
+    promotion: move.promotion,
+    fen: move.position,
+    by: userId,
+  });
+
+  if (isTimed(game)) {
+    pressClock(game, color, now);
+  }
+
+  const outcome = gameType.getOutcome(game);
+  if (outcome) {
+    await endGame(game, {
+      ...outcome,
+      winner: outcome.status === "completed" ? game.turn : undefined,
+    });
+  }
+
+  // Switch turns to the other player
+  game.turn = game.players.find(player => player._id.toString() !== userId.toString());
+
+  await game.save();
+  scheduleFlag(game);
+
+  const updatedGame = await populateGame(Game.findById(gameId));
+
+  io.to(`game:${gameId}`).emit("moveMade", {
+    gameId,
+    from: move.from,
+    to: move.to,
+    promotion: move.promotion,
+    san: move.san,
+    fen: game.currentPosition,
+    turn: game.turn,
+    isGameOver: !!outcome,
+    isCheckmate: outcome?.result === "checkmate",
+    game: updatedGame,
+  });
+
+  if (outcome) {
+    io.to(`game:${gameId}`).emit("gameOver", {
+      gameId,
+      status: updatedGame.status,
+      result: updatedGame.result,
+      winner: updatedGame.winner,
+    });
+  }
+
+  return { game: updatedGame };
+};
@@ -0,0 +1,66 @@
+import { updateRatings } from "./ratings.js";
+import { hasCastlingMove, withCastlingRights } from "./chess960.js";
+import { getPlayerColor } from "./players.js";
+
+const HILL_SQUARES = ['d4', 'e4', 'd5', 'e5'];
+const CHECKS_TO_WIN = 3;
+
+// Placement, side to move, castling and en passant identify a position for repetition
+const positionKey = (fen) => fen.split(" ").slice(0, 4).join(" ");
+
+// chess.js only knows the history of moves played on the same instance, so
+// repetitions are counted from the FENs stored with every move. Chess960 FENs
+// are stored without castling rights, so those are worked out for each one
+const isThreefoldRepetition = (game) => {
+    const positions = [game.initialPosition, ...game.moves.map(move => move.fen)].map((fen, plies) =>
+        positionKey(game.variant === 'chess960' ? withCastlingRights(game, fen, plies) : fen));
+    const current = positions[positions.length - 1];
+    return positions.filter(position => position === current).length >= 3;
+};
+
+// The side that just moved is the one not to move in the new position
+const getMoverColor = (chess) => (chess.turn() === 'w' ? 'b' : 'w');
+
+// King of the Hill: the side that just moved brought its king to the center
+const isOnHill = (chess) => HILL_SQUARES.some(square => {
+    const piece = chess.get(square);
+    return piece?.type === 'k' && piece.color === getMoverColor(chess);
+});
+
+// Checks given so far by a side, read from the SANs of its moves
+const countChecks = (game, color) => game.moves
+    .filter(move => /[+#]$/.test(move.san) && getPlayerColor(game, move.by) === color)
+    .length;
+
+// Returns { status, result } when the last move ended the game, null otherwise.
+// Wins always go to the side that just moved
+export const getChessOutcome = (chess, game) => {
+    if (chess.isCheckmate()) return { status: 'completed', result: 'checkmate' };
+    if (game.variant === 'kingOfTheHill' && isOnHill(chess)) {
+        return { status: 'completed', result: 'kingOfTheHill' };
+    }
+    if (game.variant === 'threeCheck' && chess.inCheck() &&
+        countChecks(game, getMoverColor(chess) === 'w' ? 'white' : 'black') >= CHECKS_TO_WIN) {
+        return { status: 'completed', result: 'threeCheck' };
+    }
+    if (chess.isStalemate() && !hasCastlingMove(game, chess)) return { status: 'drawn', result: 'stalemate' };
+    // A lone king can still walk to the hill
+    if (game.variant !== 'kingOfTheHill' && chess.isInsufficientMaterial()) return { status: 'drawn', result: 'insufficientMaterial' };
+    if (isThreefoldRepetition(game)) return { status: 'drawn', result: 'threefoldRepetition' };
+
+    const halfMoves = Number(chess.fen().split(" ")[4]);
+    if (halfMoves >= 100) return { status: 'drawn', result: 'fiftyMoveRule' };
+
+    return null;
+};
+
+// Single place where a game is marked as over, whatever ended it.
+// The caller saves the game, which then announces it through gameEvents
+export const endGame = async (game, { status, result, winner }) => {
+    game.status = status;
+    game.result = result;
+    game.winner = winner;
+    game.drawOffer = undefined;
+    game.$locals.isFinishing = true;
+    await updateRatings(game);
+};
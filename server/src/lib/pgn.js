@@ -0,0 +1,145 @@
+import { Chess, DEFAULT_POSITION } from "chess.js";
+import { withCastlingRights } from "./chess960.js";
+
+// Tags we always derive from the game itself instead of copying from an import
+export const DERIVED_TAGS = ["White", "Black", "Result", "Variant", "SetUp", "FEN", "Termination"];
+
+const TERMINATIONS = {
+  checkmate: "Normal",
+  kingOfTheHill: "Normal",
+  threeCheck: "Normal",
+  draw: "Normal",
+  resignation: "Normal",
+  stalemate: "Normal",
+  threefoldRepetition: "Normal",
+  insufficientMaterial: "Normal",
+  fiftyMoveRule: "Normal",
+  timeout: "Time forfeit",
+  abandonment: "Abandoned",
+};
+
+// Decisive imports that didn't end in mate are resignations unless the
+// Termination tag says otherwise
+const IMPORTED_RESULTS = {
+  "time forfeit": "timeout",
+  abandoned: "abandonment",
+};
+
+export const getImportedResult = (termination) => IMPORTED_RESULTS[termination?.toLowerCase()] || "resignation";
+
+// Variant tag values, as other sites write them. Standard games leave it out
+const PGN_VARIANTS = {
+  chess960: "Chess960",
+  kingOfTheHill: "King of the Hill",
+  threeCheck: "Three-check",
+};
+
+// PGN TimeControl tag: "180+2" in seconds, "1/86400" for a day per move
+const formatTimeControl = (timeControl) => {
+  if (!timeControl || !timeControl.category || timeControl.category === "unlimited") return "-";
+  if (timeControl.category === "correspondence") return `1/${timeControl.daysPerMove * 86400}`;
+  return `${timeControl.initial / 1000}+${timeControl.increment / 1000}`;
+};
+
+// PGN dates are written as YYYY.MM.DD
+const formatPgnDate = (date) => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getUTCFullYear()}.${pad(d.getUTCMonth() + 1)}.${pad(d.getUTCDate())}`;
+};
+
+export const getPgnResult = (game, whiteId) => {
+  if (game.status === "drawn") return "1/2-1/2";
+  if (!game.winner) return "*";
+  const winnerId = (game.winner._id || game.winner).toString();
+  return winnerId === whiteId.toString() ? "1-0" : "0-1";
+};
+
+// Movetext is built from the stored SANs so it doesn't depend on replaying the game
+const buildMovetext = (moves, initialPosition, result) => {
+  const [, turn, , , , fullMove] = initialPosition.split(" ");
+  let moveNumber = Number(fullMove) || 1;
+  let isWhite = turn !== "b";
+
+  const tokens = [];
+  moves.forEach((move, index) => {
+    if (isWhite) {
+      tokens.push(`${moveNumber}.`);
+    } else if (index === 0) {
+      tokens.push(`${moveNumber}...`);
+    }
+    tokens.push(move.san);
+    if (!isWhite) moveNumber++;
+    isWhite = !isWhite;
+  });
+  tokens.push(result);
+
+  // Wrap at 80 characters like most PGN writers do
+  const lines = [];
+  let line = "";
+  for (const token of tokens) {
+    if (line && line.length + token.length + 1 > 80) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join("\n");
+};
+
+// Expects a game with players populated (userName), and its tournament (name) if it has one
+export const buildPgn = (game, white, black) => {
+  const initialPosition = game.initialPosition || DEFAULT_POSITION;
+  const result = getPgnResult(game, white._id);
+
+  const tags = {
+    Event: game.tournament?.name || "Wombadilo casual game",
+    Site: "Wombadilo",
+    Date: formatPgnDate(game.createdAt),
+    Round: game.round ? String(game.round) : "-",
+    White: white.userName,
+    Black: black.userName,
+    Result: result,
+    TimeControl: formatTimeControl(game.timeControl),
+    ...(PGN_VARIANTS[game.variant] && { Variant: PGN_VARIANTS[game.variant] }),
+    // Stored Chess960 FENs have no castling rights, other tools need them to read O-O
+    ...(initialPosition !== DEFAULT_POSITION && {
+      SetUp: "1",
+      FEN: game.variant === "chess960" ? withCastlingRights(game, initialPosition, 0) : initialPosition,
+    }),
+    Termination: TERMINATIONS[game.result] || "Unterminated",
+    // Imported games keep the tags they came in with
+    ...(game.tags ? Object.fromEntries(game.tags) : {}),
+  };
+
+  const header = Object.entries(tags)
+    .map(([key, value]) => `[${key} "${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"]`)
+    .join("\n");
+
+  return `${header}\n\n${buildMovetext(game.moves, initialPosition, result)}\n`;
+};
+
+// Returns { headers, initialPosition, moves, chess } or throws if the PGN is invalid
+export const parsePgn = (pgn) => {
+  const chess = new Chess();
+  chess.loadPgn(pgn);
+
+  const headers = chess.header();
+  const moves = chess.history({ verbose: true }).map((move) => ({
+    san: move.san,
+    from: move.from,
+    to: move.to,
+    promotion: move.promotion,
+    fen: move.after,
+    color: move.color,
+  }));
+
+  return {
+    headers,
+    initialPosition: headers.FEN || DEFAULT_POSITION,
+    moves,
+    chess,
+  };
+};
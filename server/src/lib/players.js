@@ -0,0 +1,27 @@
+// Works with populated players as well as raw ObjectIds
+export const idOf = (ref) => (ref?._id || ref)?.toString();
+
+export const isSamePlayer = (a, b) => !!a && !!b && idOf(a) === idOf(b);
+
+// 'white', 'black' or null when the user isn't playing this game
+export const getPlayerColor = (game, userId) => {
+    // Older games have no color fields, the inviter played white
+    const white = game.white || game.invitedBy;
+    if (isSamePlayer(white, userId)) return 'white';
+    if (game.players.some(player => isSamePlayer(player, userId))) return 'black';
+    return null;
+};
+
+export const getPlayerByColor = (game, color) => {
+    const white = game.white || game.invitedBy;
+    if (color === 'white') return white;
+    return game.black || game.players.find(player => !isSamePlayer(player, white));
+};
+
+// Picks the sides for a new game from the challenger's preference
+export const assignColors = (challengerId, opponentId, preference = 'random') => {
+    const challengerIsWhite = preference === 'random' ? Math.random() < 0.5 : preference === 'white';
+    return challengerIsWhite
+        ? { white: challengerId, black: opponentId }
+        : { white: opponentId, black: challengerId };
+};
@@ -0,0 +1,109 @@
+import User from "../models/user.model.js";
+import { idOf, isSamePlayer, getPlayerByColor } from "./players.js";
+
+// Glicko-2 (http://www.glicko.net/glicko/glicko2.pdf). Every game is rated as
+// its own rating period, so ratings move right after each game
+const SCALE = 173.7178;
+const TAU = 0.5; // Constrains how fast volatility changes
+const EPSILON = 0.000001;
+const MIN_RD = 30;
+const MAX_RD = 350;
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+
+const expectedScore = (mu, opponentMu, opponentPhi) =>
+  1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+
+// Step 5 of the paper, finds the new volatility with the Illinois algorithm
+const computeVolatility = (phi, volatility, v, delta) => {
+  const a = Math.log(volatility * volatility);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const denominator = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denominator * denominator) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+};
+
+// New { rating, rd, volatility } for a player after scoring 1, 0.5 or 0 against an opponent
+export const rateGame = (player, opponent, score) => {
+  const mu = (player.rating - 1500) / SCALE;
+  const phi = player.rd / SCALE;
+  const opponentMu = (opponent.rating - 1500) / SCALE;
+  const opponentPhi = opponent.rd / SCALE;
+
+  const expected = expectedScore(mu, opponentMu, opponentPhi);
+  const v = 1 / (g(opponentPhi) ** 2 * expected * (1 - expected));
+  const delta = v * g(opponentPhi) * (score - expected);
+
+  const volatility = computeVolatility(phi, player.volatility, v, delta);
+  const preRatingPhi = Math.sqrt(phi * phi + volatility * volatility);
+  const newPhi = 1 / Math.sqrt(1 / (preRatingPhi * preRatingPhi) + 1 / v);
+  const newMu = mu + newPhi * newPhi * g(opponentPhi) * (score - expected);
+
+  return {
+    rating: SCALE * newMu + 1500,
+    rd: Math.min(Math.max(SCALE * newPhi, MIN_RD), MAX_RD),
+    volatility,
+  };
+};
+
+// Updates both players of a finished rated game and records the rating changes on it.
+// The caller saves the game
+export const updateRatings = async (game) => {
+  if (!game.rated || game.ratingChanges?.white != null) return;
+
+  const category = game.timeControl?.category || "unlimited";
+  const [white, black] = await Promise.all([
+    User.findById(idOf(getPlayerByColor(game, "white"))).select("ratings"),
+    User.findById(idOf(getPlayerByColor(game, "black"))).select("ratings"),
+  ]);
+  if (!white || !black) return;
+
+  const whiteScore = !game.winner ? 0.5 : isSamePlayer(game.winner, white._id) ? 1 : 0;
+  const whiteBefore = white.ratings[category].toObject();
+  const blackBefore = black.ratings[category].toObject();
+  const whiteAfter = rateGame(whiteBefore, blackBefore, whiteScore);
+  const blackAfter = rateGame(blackBefore, whiteBefore, 1 - whiteScore);
+
+  // History isn't loaded with the user, so push to it instead of saving the document
+  const saveRating = (user, before, after) => User.updateOne({ _id: user._id }, {
+    $set: { [`ratings.${category}`]: { ...after, games: before.games + 1 } },
+    $push: { ratingHistory: { category, rating: Math.round(after.rating), game: game._id } },
+  });
+  await Promise.all([
+    saveRating(white, whiteBefore, whiteAfter),
+    saveRating(black, blackBefore, blackAfter),
+  ]);
+
+  game.ratingChanges = {
+    white: Math.round(whiteAfter.rating) - Math.round(whiteBefore.rating),
+    black: Math.round(blackAfter.rating) - Math.round(blackBefore.rating),
+  };
+};
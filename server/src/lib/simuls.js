@@ -0,0 +1,62 @@
+import Game, { gameEvents } from "../models/game.model.js";
+import Simul from "../models/simul.model.js";
+import { io, getReceiverSocketId } from "./socket.js";
+import { getTimeControl, startClock, scheduleFlag } from "./clock.js";
+import { idOf } from "./players.js";
+
+const notifySimul = (simul, event) => {
+  [simul.host, ...simul.participants].forEach((userId) => {
+    io.to(getReceiverSocketId(idOf(userId))).emit(event, { simulId: simul._id });
+  });
+};
+
+// Creates one game per participant, the host always on the same color.
+// Returns false if the simul had already started
+export const startSimul = async (simulId) => {
+  const simul = await Simul.findOneAndUpdate(
+    { _id: simulId, status: "pending" },
+    { status: "active" },
+    { new: true }
+  );
+  if (!simul) return false;
+
+  for (const opponent of simul.participants) {
+    const [white, black] = simul.hostColor === "white" ? [simul.host, opponent] : [opponent, simul.host];
+    const game = new Game({
+      players: [simul.host, opponent],
+      status: "active",
+      invitedBy: simul.host,
+      white,
+      black,
+      turn: white,
+      timeControl: getTimeControl(simul.timeControl.id),
+      simul: simul._id,
+    });
+    startClock(game);
+    await game.save();
+    scheduleFlag(game);
+  }
+
+  notifySimul(simul, "simulStarted");
+  return true;
+};
+
+// The simul is over once its last game is
+const finishSimul = async (simulId) => {
+  const isOpen = await Game.exists({ simul: simulId, status: "active" });
+  if (isOpen) return;
+
+  const simul = await Simul.findOneAndUpdate(
+    { _id: simulId, status: "active" },
+    { status: "completed" },
+    { new: true }
+  );
+  if (simul) notifySimul(simul, "simulFinished");
+};
+
+gameEvents.on("finished", (game) => {
+  if (!game.simul) return;
+  finishSimul(game.simul).catch((error) => {
+    console.log("Error finishing simul", error.message);
+  });
+});
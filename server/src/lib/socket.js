@@ -1,6 +1,12 @@
 import { Server } from "socket.io";
 import http from "http";
 import express from "express";
+import jwt from "jsonwebtoken";
+import cookieParser from "cookie-parser";
+import Game from "../models/game.model.js";
+import User from "../models/user.model.js";
+import { getTimeControl, startClock, scheduleFlag } from "./clock.js";
+import { assignColors } from "./players.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -8,9 +14,33 @@ const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
     origin: ["http://localhost:5173"],
+    credentials: true,
   },
 });
 
+const parseCookies = cookieParser();
+
+// Sockets are authenticated with the same JWT cookie as protectRoute, the
+// user id comes from the verified token and never from the client
+io.use((socket, next) => {
+  parseCookies(socket.request, {}, async () => {
+    try {
+      const token = socket.request.cookies?.jwt;
+      if (!token) return next(new Error("Unauthorized - No Token Provided"));
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (!decoded || !(await User.exists({ _id: decoded.userId }))) {
+        return next(new Error("Unauthorized - Invalid Token"));
+      }
+
+      socket.data.userId = decoded.userId.toString();
+      next();
+    } catch (error) {
+      next(new Error("Unauthorized - Invalid Token"));
+    }
+  });
+});
+
 export function getReceiverSocketId(userId) {
   return userSocketMap[userId];
 }
@@ -18,11 +48,111 @@ export function getReceiverSocketId(userId) {
 // used to store online users
 const userSocketMap = {}; // {userId: socketId}
 
+// Players who left, so their opponents can claim live games after a grace period
+const offlineSince = new Map(); // {userId: timestamp}
+const serverStartedAt = Date.now();
+
+// Read lazily, the environment is loaded after this module
+export const getDisconnectGracePeriod = () =>
+  (Number(process.env.DISCONNECT_GRACE_SECONDS) || 60) * 1000;
+
+// When the user went offline, null while connected. Users who haven't connected
+// since the server started count as gone since then
+export function getOfflineSince(userId) {
+  if (userSocketMap[userId]) return null;
+  return offlineSince.get(userId) ?? serverStartedAt;
+}
+
+// Correspondence games don't care who is online
+const findLiveGames = (userId) => Game.find({
+  players: userId,
+  status: "active",
+  "timeControl.category": { $ne: "correspondence" },
+}).select("_id");
+
+const notifyGameRooms = async (userId, event, payload = {}) => {
+  try {
+    const games = await findLiveGames(userId);
+    games.forEach((game) => {
+      io.to(`game:${game._id}`).emit(event, { gameId: game._id, userId, ...payload });
+    });
+  } catch (error) {
+    console.log(`Error notifying ${event}`, error.message);
+  }
+};
+
+// Matchmaking queue, one seek per user
+const seeks = new Map(); // {userId: { timeControl, rated, rating, ratingRange, createdAt }}
+
+// Sockets watching a game without playing in it
+const spectators = new Map(); // {gameId: Set(socketId)}
+
+const emitSpectatorCount = (gameId) => {
+  io.to(`game:${gameId}`).emit("spectatorCount", { gameId, count: spectators.get(gameId)?.size || 0 });
+};
+
+const stopSpectating = (socket, gameId) => {
+  const watchers = spectators.get(gameId);
+  socket.data.spectating.delete(gameId);
+  if (!watchers?.delete(socket.id)) return;
+  if (watchers.size === 0) spectators.delete(gameId);
+  emitSpectatorCount(gameId);
+};
+
+// Both players must be inside each other's rating range (null means any rating)
+const isCompatibleSeek = (seek, other) => {
+  if (seek.timeControl.id !== other.timeControl.id || seek.rated !== other.rated) return false;
+  const difference = Math.abs(seek.rating - other.rating);
+  return (seek.ratingRange == null || difference <= seek.ratingRange) &&
+    (other.ratingRange == null || difference <= other.ratingRange);
+};
+
+// Oldest compatible seek waits the least longer
+const findOpponentSeek = (userId, seek) => {
+  let match = null;
+  for (const [otherId, other] of seeks) {
+    if (otherId === userId || !isCompatibleSeek(seek, other)) continue;
+    if (!match || other.createdAt < match.seek.createdAt) match = { userId: otherId, seek: other };
+  }
+  return match;
+};
+
+// Paired players skip the invite step, the game starts right away
+const createMatchedGame = async (userId, opponentId, seek) => {
+  const { white, black } = assignColors(userId, opponentId);
+  const game = new Game({
+    players: [white, black],
+    status: "active",
+    invitedBy: white,
+    white,
+    black,
+    turn: white,
+    timeControl: seek.timeControl,
+    rated: seek.rated,
+  });
+  startClock(game);
+  await game.save();
+  scheduleFlag(game);
+
+  [userId, opponentId].forEach((playerId) => {
+    io.to(userSocketMap[playerId]).emit("matchFound", { gameId: game._id });
+  });
+};
+
 io.on("connection", (socket) => {
   console.log("A user connected", socket.id);
 
-  const userId = socket.handshake.query.userId;
-  if (userId) userSocketMap[userId] = socket.id;
+  const { userId } = socket.data;
+  userSocketMap[userId] = socket.id;
+
+  if (offlineSince.has(userId)) {
+    offlineSince.delete(userId);
+    notifyGameRooms(userId, "playerReconnected");
+  }
+
+  // Games this socket joined as a player or as a spectator
+  socket.data.playerGames = new Set();
+  socket.data.spectating = new Set();
 
   // io.emit() is used to send events to all the connected clients
   io.emit("getOnlineUsers", Object.keys(userSocketMap));
@@ -56,20 +186,104 @@ io.on("connection", (socket) => {
 
   socket.on("disconnect", () => {
     console.log("A user disconnected", socket.id);
+    socket.data.spectating.forEach(gameId => stopSpectating(socket, gameId));
+
+    // A newer tab of the same user is still connected
+    if (userSocketMap[userId] !== socket.id) return;
+
     delete userSocketMap[userId];
+    seeks.delete(userId);
     io.emit("getOnlineUsers", Object.keys(userSocketMap));
+
+    const since = Date.now();
+    offlineSince.set(userId, since);
+    notifyGameRooms(userId, "playerDisconnected", { since, gracePeriod: getDisconnectGracePeriod() });
   });
 
-  socket.on("joinGame", (gameId) => {
-    socket.join(`game:${gameId}`);
+  // Looks for an opponent right away, otherwise waits in the queue
+  socket.on("createSeek", async ({ timeControl: timeControlId, rated = false, ratingRange = null } = {}) => {
+    try {
+      const timeControl = getTimeControl(timeControlId);
+      if (!timeControl) {
+        return socket.emit("seekError", { message: "Invalid seek" });
+      }
+
+      const user = await User.findById(userId).select("ratings");
+      if (!user) return;
+
+      const seek = {
+        timeControl,
+        rated: !!rated,
+        rating: user.ratings[timeControl.category].rating,
+        ratingRange: ratingRange == null ? null : Math.abs(Number(ratingRange)) || 0,
+        createdAt: Date.now(),
+      };
+
+      const opponent = findOpponentSeek(userId, seek);
+      if (!opponent) {
+        seeks.set(userId, seek);
+        return socket.emit("seekCreated", { timeControl: timeControl.id, rated: seek.rated, ratingRange: seek.ratingRange });
+      }
+
+      seeks.delete(userId);
+      seeks.delete(opponent.userId);
+      await createMatchedGame(userId, opponent.userId, opponent.seek);
+    } catch (error) {
+      console.log("Error in createSeek", error.message);
+      socket.emit("seekError", { message: "Could not create seek" });
+    }
+  });
+
+  socket.on("cancelSeek", () => {
+    seeks.delete(userId);
+    socket.emit("seekCancelled");
+  });
+
+  // Players join their own games, anyone else only watches public ones
+  socket.on("joinGame", async (gameId) => {
+    try {
+      const game = await Game.findById(gameId).select("players isPrivate status timeControl");
+      if (!game) return;
+
+      const isPlayer = game.players.some(playerId => playerId.toString() === userId);
+      if (!isPlayer && game.isPrivate) {
+        return socket.emit("joinGameError", { gameId, message: "This game is private" });
+      }
+
+      socket.join(`game:${gameId}`);
+      if (isPlayer) {
+        socket.data.playerGames.add(gameId);
+      } else {
+        if (!spectators.has(gameId)) spectators.set(gameId, new Set());
+        spectators.get(gameId).add(socket.id);
+        socket.data.spectating.add(gameId);
+      }
+      emitSpectatorCount(gameId);
+
+      // Tell whoever just joined about players that already left, counted
+      // the same way an abandonment claim counts them
+      if (game.status !== "active" || game.timeControl?.category === "correspondence") return;
+      for (const playerId of game.players) {
+        const since = getOfflineSince(playerId.toString());
+        if (since) {
+          socket.emit("playerDisconnected", { gameId, userId: playerId, since, gracePeriod: getDisconnectGracePeriod() });
+        }
+      }
+    } catch (error) {
+      console.log("Error in joinGame", error.message);
+    }
   });
 
   socket.on("leaveGame", (gameId) => {
     socket.leave(`game:${gameId}`);
+    socket.data.playerGames.delete(gameId);
+    stopSpectating(socket, gameId);
   });
 
   // When a player makes a move
   socket.on("makeMove", ({ gameId, move, game }) => {
+    // Spectators are read-only
+    if (!socket.data.playerGames.has(gameId)) return;
     io.to(`game:${gameId}`).emit("moveMade", { 
       gameId, 
       move,
@@ -79,21 +293,25 @@ io.on("connection", (socket) => {
 
 // When game status changes (checkmate, draw, etc)
 socket.on("gameStateUpdate", ({ gameId, gameState }) => {
+  if (!socket.data.playerGames.has(gameId)) return;
   io.to(`game:${gameId}`).emit("gameStateChanged", gameState);
 });
 
 // When a draw is offered
 socket.on("offerDraw", ({ gameId, playerId }) => {
+  if (!socket.data.playerGames.has(gameId)) return;
   io.to(`game:${gameId}`).emit("drawOffered", { gameId, playerId });
 });
 
 // When responding to draw offer
 socket.on("drawResponse", ({ gameId, accepted }) => {
+  if (!socket.data.playerGames.has(gameId)) return;
   io.to(`game:${gameId}`).emit("drawResponseReceived", { gameId, accepted });
 });
 
 // When a player resigns
 socket.on("resignGame", ({ gameId, playerId }) => {
+  if (!socket.data.playerGames.has(gameId)) return;
   io.to(`game:${gameId}`).emit("gameResigned", { gameId, playerId });
 });
 });
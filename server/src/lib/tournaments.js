@@ -0,0 +1,219 @@
+import Game, { gameEvents } from "../models/game.model.js";
+import Tournament from "../models/tournament.model.js";
+import { io, getReceiverSocketId } from "./socket.js";
+import { getTimeControl, startClock, scheduleFlag } from "./clock.js";
+import { idOf } from "./players.js";
+
+const FINISHED = ["completed", "drawn", "resigned"];
+
+// Everyone-plays-everyone rounds, with a bye each round for an odd field
+const getRoundRobinRounds = (playerCount) => (playerCount % 2 === 0 ? playerCount - 1 : playerCount);
+
+// Round robin plays every pairing once. Swiss defaults to enough rounds to
+// separate the field, and can't have more than round robin without rematches
+export const getRoundCount = (format, playerCount, requestedRounds) => {
+  const maxRounds = getRoundRobinRounds(playerCount);
+  if (format === "roundRobin") return maxRounds;
+  return Math.min(requestedRounds || Math.ceil(Math.log2(playerCount)) + 1, maxRounds);
+};
+
+const scoreFor = (game, playerId) => {
+  if (game.status === "drawn") return 0.5;
+  return idOf(game.winner) === playerId ? 1 : 0;
+};
+
+// Ranked rows of { player, points, wins, draws, losses, byes, buchholz,
+// sonnebornBerger, rank }. A bye is worth a point but nothing for tiebreaks.
+// Swiss breaks ties on Buchholz (opponents' points) first, round robin on
+// Sonneborn-Berger (opponents' points weighted by the result against them)
+export const getStandings = (tournament, games) => {
+  const rows = new Map(tournament.participants.map(participant => [idOf(participant), {
+    player: idOf(participant), points: 0, wins: 0, draws: 0, losses: 0, byes: 0, opponents: [],
+  }]));
+
+  tournament.byes.forEach((bye) => {
+    const row = rows.get(idOf(bye.player));
+    if (!row) return;
+    row.points += 1;
+    row.byes += 1;
+  });
+
+  games.filter(game => FINISHED.includes(game.status)).forEach((game) => {
+    const [first, second] = game.players.map(idOf);
+    [[first, second], [second, first]].forEach(([playerId, opponentId]) => {
+      const row = rows.get(playerId);
+      if (!row) return;
+      const score = scoreFor(game, playerId);
+      row.points += score;
+      if (score === 1) row.wins += 1;
+      else if (score === 0.5) row.draws += 1;
+      else row.losses += 1;
+      row.opponents.push({ opponentId, score });
+    });
+  });
+
+  const pointsOf = (playerId) => rows.get(playerId)?.points || 0;
+  const standings = [...rows.values()].map(({ opponents, ...row }) => ({
+    ...row,
+    buchholz: opponents.reduce((sum, { opponentId }) => sum + pointsOf(opponentId), 0),
+    sonnebornBerger: opponents.reduce((sum, { opponentId, score }) => sum + score * pointsOf(opponentId), 0),
+  }));
+
+  const [firstTiebreak, secondTiebreak] = tournament.format === "swiss"
+    ? ["buchholz", "sonnebornBerger"]
+    : ["sonnebornBerger", "buchholz"];
+  standings.sort((a, b) =>
+    b.points - a.points || b[firstTiebreak] - a[firstTiebreak] || b[secondTiebreak] - a[secondTiebreak] || b.wins - a.wins);
+
+  return standings.map((row, index) => ({ ...row, rank: index + 1 }));
+};
+
+// Circle method: the first seat stays put and everyone else moves one seat
+// per round. An odd field gets an empty seat, whoever faces it has a bye.
+// Returns [white, black] pairs, null for the empty seat
+const getRoundRobinPairings = (participants, round) => {
+  const seats = participants.map(idOf);
+  if (seats.length % 2 === 1) seats.push(null);
+
+  const [fixed, ...rest] = seats;
+  const shift = (round - 1) % rest.length;
+  const rotated = [fixed, ...rest.slice(rest.length - shift), ...rest.slice(0, rest.length - shift)];
+
+  const pairs = [];
+  for (let i = 0; i < rotated.length / 2; i++) {
+    const home = rotated[i];
+    const away = rotated[rotated.length - 1 - i];
+    // Colors swap every round so the fixed seat doesn't keep white
+    pairs.push(round % 2 === 1 ? [home, away] : [away, home]);
+  }
+  return pairs;
+};
+
+// Pairs players down the list without rematches, backtracking when the
+// bottom of the list can't be paired. null when there's no way
+const pairUp = (players, havePlayed) => {
+  if (players.length === 0) return [];
+  const [first, ...rest] = players;
+  for (const opponent of rest) {
+    if (havePlayed(first, opponent)) continue;
+    const others = pairUp(rest.filter(player => player !== opponent), havePlayed);
+    if (others) return [[first, opponent], ...others];
+  }
+  return null;
+};
+
+// Players next to each other in the standings meet, so scores stay together.
+// The lowest ranked player without a bye yet sits out an odd round
+const getSwissPairings = (tournament, games) => {
+  let order = getStandings(tournament, games).map(row => row.player);
+  const pairs = [];
+
+  if (order.length % 2 === 1) {
+    const hadBye = new Set(tournament.byes.map(bye => idOf(bye.player)));
+    const byePlayer = [...order].reverse().find(playerId => !hadBye.has(playerId)) || order[order.length - 1];
+    order = order.filter(playerId => playerId !== byePlayer);
+    pairs.push([byePlayer, null]);
+  }
+
+  const played = new Set(games.map(game => game.players.map(idOf).sort().join()));
+  const havePlayed = (a, b) => played.has([a, b].sort().join());
+  // A rematch beats not pairing anyone at all
+  const matches = pairUp(order, havePlayed) || pairUp(order, () => false);
+
+  // Whoever has had white less often gets it, the higher ranked player on a tie
+  const whiteCount = (playerId) => games.filter(game => idOf(game.white) === playerId).length;
+  matches.forEach(([higher, lower]) => {
+    pairs.push(whiteCount(lower) < whiteCount(higher) ? [lower, higher] : [higher, lower]);
+  });
+  return pairs;
+};
+
+const notifyParticipants = (tournament, event, payload) => {
+  tournament.participants.forEach((participant) => {
+    io.to(getReceiverSocketId(idOf(participant))).emit(event, { tournamentId: tournament._id, ...payload });
+  });
+};
+
+// Creates the games of the tournament's current round and records its byes
+const startRound = async (tournament) => {
+  const round = tournament.currentRound;
+  const games = await Game.find({ tournament: tournament._id });
+  const pairings = tournament.format === "swiss"
+    ? getSwissPairings(tournament, games)
+    : getRoundRobinPairings(tournament.participants, round);
+
+  const byes = [];
+  for (const [white, black] of pairings) {
+    if (!white || !black) {
+      byes.push({ round, player: white || black });
+      continue;
+    }
+
+    const game = new Game({
+      players: [white, black],
+      status: "active",
+      invitedBy: tournament.createdBy,
+      white,
+      black,
+      turn: white,
+      timeControl: getTimeControl(tournament.timeControl.id),
+      rated: tournament.rated,
+      tournament: tournament._id,
+      round,
+    });
+    startClock(game);
+    await game.save();
+    scheduleFlag(game);
+  }
+
+  if (byes.length > 0) {
+    await Tournament.updateOne({ _id: tournament._id }, { $push: { byes: { $each: byes } } });
+  }
+
+  notifyParticipants(tournament, "tournamentRoundStarted", { round });
+};
+
+// Pairs the first round. Returns false if the tournament had already started
+export const startTournament = async (tournamentId) => {
+  const tournament = await Tournament.findOneAndUpdate(
+    { _id: tournamentId, status: "pending" },
+    { status: "active", currentRound: 1 },
+    { new: true }
+  );
+  if (!tournament) return false;
+
+  await startRound(tournament);
+  return true;
+};
+
+// Moves on to the next round, or ends the tournament, once every game of the
+// current round is over
+export const advanceTournament = async (tournamentId) => {
+  const tournament = await Tournament.findById(tournamentId);
+  if (!tournament || tournament.status !== "active") return;
+
+  const isRoundOpen = await Game.exists({ tournament: tournamentId, round: tournament.currentRound, status: "active" });
+  if (isRoundOpen) return;
+
+  // Claimed atomically, two last games finishing together must not both move on
+  const isLastRound = tournament.currentRound >= tournament.totalRounds;
+  const next = await Tournament.findOneAndUpdate(
+    { _id: tournamentId, status: "active", currentRound: tournament.currentRound },
+    isLastRound ? { status: "completed" } : { $inc: { currentRound: 1 } },
+    { new: true }
+  );
+  if (!next) return;
+
+  if (isLastRound) {
+    notifyParticipants(next, "tournamentFinished", {});
+  } else {
+    await startRound(next);
+  }
+};
+
+gameEvents.on("finished", (game) => {
+  if (!game.tournament) return;
+  advanceTournament(game.tournament).catch((error) => {
+    console.log("Error advancing tournament", error.message);
+  });
+});
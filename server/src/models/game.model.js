@@ -1,4 +1,44 @@
 import mongoose from "mongoose";
+import { EventEmitter } from "events";
+
+// Shared by games, tournaments and simuls. A plain definition, so the
+// nested defaults apply to every document as they would inline
+export const timeControlSchema = {
+    id: {
+        type: String,
+        default: 'unlimited' // Key into TIME_CONTROLS
+    },
+    category: {
+        type: String,
+        enum: ['unlimited', 'bullet', 'blitz', 'rapid', 'correspondence'],
+        default: 'unlimited'
+    },
+    initial: Number, // ms
+    increment: Number, // ms
+    daysPerMove: Number
+};
+
+const moveSchema = new mongoose.Schema({
+    san: {
+        type: String,
+        required: true
+    },
+    from: String,
+    to: String,
+    promotion: String,
+    fen: {
+        type: String,
+        required: true // Position after the move
+    },
+    by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    playedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
 
 const gameSchema = new mongoose.Schema({
     players: [{
@@ -6,10 +46,32 @@ const gameSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     }],
+    white: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    black: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    gameType: {
+        type: String,
+        default: 'chess' // Key into the game type registry (lib/gameTypes)
+    },
+    variant: {
+        type: String,
+        default: 'standard' // One of the game type's variants
+    },
+    // Positions are whatever the game type stores, FENs for chess
+    initialPosition: {
+        type: String,
+        default: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1' // Starting position, needed for replays and PGN export
+    },
     currentPosition: {
         type: String,
-        default: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1' // Initial FEN position
+        default: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'
     },
+    moves: [moveSchema],
     status: {
         type: String,
         enum: ['invited', 'pending', 'active', 'completed', 'drawn', 'resigned'],
@@ -30,15 +92,92 @@ const gameSchema = new mongoose.Schema({
         },
         offeredAt: Date
     },
+    takebackRequest: {
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        requestedAt: Date
+    },
     result: {
         type: String,
-        enum: ['checkmate', 'draw', 'resignation'],
+        enum: [
+            'checkmate', 'kingOfTheHill', 'threeCheck', 'fourInARow', 'noMovesLeft', 'resignation', 'timeout', 'abandonment',
+            'draw', 'stalemate', 'threefoldRepetition', 'insufficientMaterial', 'fiftyMoveRule', 'boardFull', 'fortyMoveRule'
+        ],
+    },
+    timeControl: timeControlSchema,
+    clock: {
+        white: Number, // ms left
+        black: Number, // ms left
+        lastMoveAt: Date // When the side to move started thinking
+    },
+    moveDeadline: {
+        type: Date // Correspondence only: when the side to move forfeits on time
     },
     invitedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
+    },
+    rated: {
+        type: Boolean,
+        default: false
+    },
+    botLevel: {
+        type: Number // Strength of the computer opponent, only set in games against the bot
+    },
+    isPrivate: {
+        type: Boolean,
+        default: false // Public games can be watched by anyone logged in
+    },
+    ratingChanges: {
+        white: Number,
+        black: Number
+    },
+    rematchOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Game'
+    },
+    imported: {
+        type: Boolean,
+        default: false
+    },
+    tags: {
+        type: Map,
+        of: String // Original PGN tags of imported games (Event, Site, Date...)
+    },
+    tournament: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tournament'
+    },
+    round: Number, // Tournament round the game was paired in
+    simul: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Simul'
     }
 }, { timestamps: true });
 
+// Game history lookups
+gameSchema.index({ players: 1, status: 1, updatedAt: -1 });
+gameSchema.index({ tournament: 1, round: 1 });
+gameSchema.index({ simul: 1 });
+
+// Emits "finished" with the game once a result set by endGame has been saved,
+// so tournaments and simuls can move on without every caller knowing about them
+export const gameEvents = new EventEmitter();
+
+gameSchema.post('save', function (game) {
+    if (!game.$locals.isFinishing) return;
+    game.$locals.isFinishing = false;
+    gameEvents.emit('finished', game);
+});
+
+// What the client needs to show a game, for any Game query
+export const populateGame = (query) => query
+    .populate('players', 'userName profilePic ratings isBot')
+    .populate('turn', 'userName')
+    .populate('winner', 'userName')
+    .populate('invitedBy', 'userName');
+
 const Game = mongoose.model("Game", gameSchema); 
 export default Game;
\ No newline at end of file
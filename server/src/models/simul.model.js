@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+import { timeControlSchema } from "./game.model.js";
+
+// Simultaneous exhibition: the host plays every participant at once,
+// always with the same color
+const simulSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    host: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    hostColor: {
+        type: String,
+        enum: ['white', 'black'],
+        default: 'white'
+    },
+    timeControl: timeControlSchema,
+    // Opponents who joined, the host isn't one of them
+    participants: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    status: {
+        type: String,
+        enum: ['pending', 'active', 'completed'],
+        default: 'pending'
+    }
+}, { timestamps: true });
+
+const Simul = mongoose.model("Simul", simulSchema);
+export default Simul;
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+import { timeControlSchema } from "./game.model.js";
+
+const byeSchema = new mongoose.Schema({
+    round: { type: Number, required: true },
+    player: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { _id: false });
+
+const tournamentSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    format: {
+        type: String,
+        enum: ['roundRobin', 'swiss'],
+        required: true
+    },
+    timeControl: timeControlSchema,
+    rated: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    participants: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    totalRounds: {
+        type: Number,
+        required: true
+    },
+    currentRound: {
+        type: Number,
+        default: 0 // 0 until the creator starts the tournament
+    },
+    // With an odd number of players someone sits out each round, for a point
+    byes: [byeSchema],
+    status: {
+        type: String,
+        enum: ['pending', 'active', 'completed'],
+        default: 'pending'
+    }
+}, { timestamps: true });
+
+const Tournament = mongoose.model("Tournament", tournamentSchema);
+export default Tournament;
@@ -1,5 +1,22 @@
 import mongoose from 'mongoose';
 
+const ratingSchema = new mongoose.Schema({
+    rating: { type: Number, default: 1500 },
+    rd: { type: Number, default: 350 }, // Rating deviation, how unsure the rating still is
+    volatility: { type: Number, default: 0.06 },
+    games: { type: Number, default: 0 }
+}, { _id: false });
+
+const ratingEntrySchema = new mongoose.Schema({
+    category: { type: String, required: true },
+    rating: { type: Number, required: true },
+    game: { type: mongoose.Schema.Types.ObjectId, ref: 'Game' },
+    date: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One rating per time control category
+const ratingField = { type: ratingSchema, default: () => ({}) };
+
 const userSchema = new mongoose.Schema(
     {
         email: {
@@ -21,6 +38,21 @@ const userSchema = new mongoose.Schema(
             type: String,
             default: "",
           },
+          isBot: {
+            type: Boolean,
+            default: false,
+          },
+          ratings: {
+            bullet: ratingField,
+            blitz: ratingField,
+            rapid: ratingField,
+            correspondence: ratingField,
+            unlimited: ratingField,
+          },
+          ratingHistory: {
+            type: [ratingEntrySchema],
+            select: false, // Only loaded for the rating chart
+          },
     },
     {timestamps: true}
 );
@@ -1,10 +1,11 @@
 import { protectRoute } from '../middleware/auth.middleware.js';
-import { checkAuth, login, logout, signup, updateProfile } from '../controllers/auth.controller.js';
+import { checkAuth, getRatingHistory, login, logout, signup, updateProfile } from '../controllers/auth.controller.js';
 import express from 'express';
 const router = express.Router();
 
 
 router.get("/check", protectRoute, checkAuth);
+router.get("/rating-history", protectRoute, getRatingHistory);
 
 router.post("/login",login);
 router.post("/logout", protectRoute, logout);
@@ -2,17 +2,26 @@ import express from 'express';
 const router = express.Router();
 
 import { protectRoute } from '../middleware/auth.middleware.js';
-import { makeMove, getGame, getGames, offerDraw, respondToDrawOffer, resign, sendGameInvite, acceptGameInvite, declineGameInvite, getGameInvites } from '../controllers/game.controller.js';
+import { makeMove, getGame, getLegalMoves, getGames, getGameHistory, offerDraw, respondToDrawOffer, resign, sendGameInvite, acceptGameInvite, declineGameInvite, getGameInvites, exportPgn, importPgn, requestTakeback, respondToTakeback, offerRematch, createBotGame, claimAbandonment } from '../controllers/game.controller.js';
 
 router.get('/games', protectRoute, getGames);
 router.get('/invites', protectRoute, getGameInvites);
+router.get('/history', protectRoute, getGameHistory);
 router.get('/:gameId', protectRoute, getGame);
+router.get('/:gameId/pgn', protectRoute, exportPgn);
+router.get('/:gameId/moves', protectRoute, getLegalMoves);
 router.post('/move/:gameId', protectRoute, makeMove);
+router.post('/import', protectRoute, importPgn);
 router.post('/invite', protectRoute, sendGameInvite);
+router.post('/bot', protectRoute, createBotGame);
 router.post('/invite/:gameId/accept', protectRoute, acceptGameInvite);
 router.post('/invite/:gameId/decline', protectRoute, declineGameInvite);
 router.post('/:gameId/draw/offer', protectRoute, offerDraw);
 router.post('/:gameId/draw/respond', protectRoute, respondToDrawOffer);
+router.post('/:gameId/takeback/request', protectRoute, requestTakeback);
+router.post('/:gameId/takeback/respond', protectRoute, respondToTakeback);
 router.post('/:gameId/resign', protectRoute, resign);
+router.post('/:gameId/rematch', protectRoute, offerRematch);
+router.post('/:gameId/abandon/claim', protectRoute, claimAbandonment);
 
 export default router;
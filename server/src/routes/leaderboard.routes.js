@@ -0,0 +1,9 @@
+import express from 'express';
+import { protectRoute } from '../middleware/auth.middleware.js';
+import { getLeaderboard } from '../controllers/leaderboard.controller.js';
+
+const router = express.Router();
+
+router.get("/", protectRoute, getLeaderboard);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import { protectRoute } from '../middleware/auth.middleware.js';
+import { getSimuls, getSimul, createSimul, joinSimul, leaveSimul, startSimul } from '../controllers/simul.controller.js';
+
+const router = express.Router();
+
+router.get("/", protectRoute, getSimuls);
+router.get("/:simulId", protectRoute, getSimul);
+router.post("/", protectRoute, createSimul);
+router.post("/:simulId/join", protectRoute, joinSimul);
+router.post("/:simulId/leave", protectRoute, leaveSimul);
+router.post("/:simulId/start", protectRoute, startSimul);
+
+export default router;
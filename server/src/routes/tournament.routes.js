@@ -0,0 +1,12 @@
+import express from 'express';
+import { protectRoute } from '../middleware/auth.middleware.js';
+import { getTournaments, getTournament, createTournament, startTournament } from '../controllers/tournament.controller.js';
+
+const router = express.Router();
+
+router.get("/", protectRoute, getTournaments);
+router.get("/:tournamentId", protectRoute, getTournament);
+router.post("/", protectRoute, createTournament);
+router.post("/:tournamentId/start", protectRoute, startTournament);
+
+export default router;